@@ -0,0 +1,431 @@
+/**
+ * Blog Post Module
+ * Loads and renders a single blog post
+ */
+
+class BlogPostViewer {
+    constructor() {
+        this.post = null;
+        this.posts = [];
+        this.categories = {};
+        this.tags = {};
+        this.series = {};
+
+        // Related posts: points per shared tag and for the same category
+        this.relatedWeights = { tag: 2, category: 1 };
+        this.relatedLimit = 3;
+
+        // Undone when js/router.js leaves the page
+        this.cleanup = [];
+        this.destroyed = false;
+    }
+
+    /**
+     * blog-post.html takes the post from ?id=; prerendered post pages
+     * (blog/<id>.html) carry it on <body data-post-id>
+     */
+    getPostId() {
+        const urlParams = new URLSearchParams(window.location.search);
+        return urlParams.get('id') || document.body.dataset.postId;
+    }
+
+    /**
+     * blog-post.html?id=<id>&preview shows drafts and scheduled posts with a
+     * banner. It only hides them from readers: the data is public.
+     */
+    isPreview() {
+        return new URLSearchParams(window.location.search).has('preview');
+    }
+
+    async init() {
+        const postId = this.getPostId();
+
+        if (!postId) {
+            this.showError();
+            return;
+        }
+
+        const container = document.getElementById('postContent');
+        window.dataLoader.showSkeleton(container, 1);
+
+        try {
+            // Posts with their front matter merged in (scripts/prerender.js)
+            const data = await window.dataLoader.load('data/blog-index.json', {
+                validate: data => (Array.isArray(data?.posts) ? null : 'no posts list')
+            });
+            if (this.destroyed) return;
+            window.dataLoader.showLoaded(container);
+
+            this.categories = data.categories;
+            this.tags = data.tags;
+            this.series = data.series || {};
+            this.post = data.posts.find(p => p.id === postId);
+
+            if (!this.post) {
+                this.showError();
+                return;
+            }
+
+            if (!window.utils.hasPostMetadata(this.post)) throw new Error(`Failed to load the source of post ${postId}`);
+
+            // Other posts whose source failed to load at build time are left
+            // out of the related, series and previous/next links
+            this.posts = data.posts.filter(post => window.utils.hasPostMetadata(post) && window.utils.isPostPublished(post));
+
+            this.status = window.utils.getPostStatus(this.post);
+            if (this.status !== 'published' && !this.isPreview()) {
+                this.showUnavailable();
+                return;
+            }
+
+            this.render();
+
+            // Re-render when language changes
+            if (window.i18n) {
+                this.cleanup.push(window.i18n.subscribe(() => this.render()));
+            }
+        } catch (error) {
+            console.error('Failed to load blog post:', error);
+            if (this.destroyed) return;
+            document.getElementById('postTitle').textContent = window.utils.translate('common.error', 'Something went wrong');
+            window.dataLoader.showError(container, () => this.init());
+        }
+    }
+
+    destroy() {
+        this.destroyed = true;
+        this.cleanup.forEach(undo => undo());
+        this.cleanup = [];
+    }
+
+    getCurrentLang() {
+        return window.i18n?.getLanguage() || 'en';
+    }
+
+    render() {
+        const lang = this.getCurrentLang();
+        const post = this.post;
+
+        // Update page title and social/search metadata
+        document.title = this.getDocumentTitle(post, lang);
+        this.updateMeta(post, lang);
+        this.renderStatusBanner(post, lang);
+
+        // Update post title and meta info
+        document.getElementById('postTitle').textContent = window.utils.getLocalized(post.title, lang);
+        document.getElementById('postDate').textContent = this.getDate(post, lang);
+        document.getElementById('postReadingTime').textContent = this.getReadingTime(post, lang);
+        window.utils.renderHtml(document.getElementById('postCategory'), this.getCategoryHtml(post, lang));
+
+        // Update tags
+        window.utils.renderHtml(document.getElementById('postTags'), this.getTagsHtml(post, lang));
+
+        // Series, previous/next and related posts
+        this.renderSection('postSeries', this.getSeriesHtml(post, lang));
+        this.renderSection('postAdjacent', this.getAdjacentHtml(post, lang));
+        this.renderSection('relatedPosts', this.getRelatedHtml(post, lang));
+
+        // Load post content
+        this.loadContent(window.utils.getLocalized(post.content, lang));
+
+        // Update share links
+        const pageUrl = encodeURIComponent(window.location.href);
+        const pageTitle = encodeURIComponent(window.utils.getLocalized(post.title, lang));
+
+        document.getElementById('shareTwitter').href =
+            `https://twitter.com/intent/tweet?url=${pageUrl}&text=${pageTitle}`;
+        document.getElementById('shareLinkedIn').href =
+            `https://www.linkedin.com/sharing/share-offsite/?url=${pageUrl}`;
+
+        // Published posts can be saved for offline reading; previews cannot
+        if (this.status === 'published') {
+            window.offlineManager?.setPost(post);
+        }
+    }
+
+    renderStatusBanner(post, lang) {
+        const banner = document.getElementById('postStatus');
+        if (!banner) return;
+
+        banner.hidden = this.status === 'published';
+        if (banner.hidden) return;
+
+        banner.textContent = this.status === 'draft'
+            ? window.utils.translate('blog.draftBanner', 'DRAFT · preview only, not listed on the blog')
+            : window.utils.translate('blog.scheduledBanner', `SCHEDULED · goes live on ${this.getPublishDate(post, lang)}`,
+                { date: this.getPublishDate(post, lang) });
+
+        // Keep previews out of search engines
+        if (!document.querySelector('meta[name="robots"]')) {
+            const robots = document.createElement('meta');
+            robots.name = 'robots';
+            robots.content = 'noindex';
+            document.head.appendChild(robots);
+        }
+    }
+
+    getPublishDate(post, lang) {
+        return window.utils?.formatDate(post.publishAt || post.date, lang) || post.publishAt || post.date;
+    }
+
+    renderSection(id, html) {
+        const container = document.getElementById(id);
+        if (!container) return;
+
+        window.utils.renderHtml(container, html);
+        container.hidden = !html;
+    }
+
+    updateMeta(post, lang) {
+        if (!window.seo) return;
+
+        window.seo.applyPostHead(window.seo.getPostMeta(post, lang, {
+            siteUrl: window.seo.getSiteUrl(),
+            categories: this.categories,
+            tags: this.tags,
+            config: window.configManager?.getConfig()
+        }));
+    }
+
+    /**
+     * Text and markup builders below are shared with scripts/prerender.js.
+     * Text builders return plain text; markup builders escape data through
+     * js/safe-html.js.
+     */
+    getDocumentTitle(post, lang) {
+        return `${window.utils.getLocalized(post.title, lang)} | Matheus Nascimento Loureiro`;
+    }
+
+    getDate(post, lang) {
+        return window.utils?.formatDate(post.date, lang) || post.date;
+    }
+
+    getReadingTime(post, lang) {
+        const minutes = window.utils.getLocalized(post.readingTime, lang);
+        return window.utils.translate('blog.readingTime', `${minutes} min read`, { minutes });
+    }
+
+    /**
+     * Category and tags link to their landing pages (blog/category/, blog/tag/)
+     */
+    getCategoryHtml(post, lang) {
+        const escape = text => window.safeHtml.escape(text);
+        const categoryName = window.utils.getLocalized(this.categories, lang)?.[post.category] || post.category;
+        return `<a href="${escape(window.utils.getCategoryUrl(post.category, lang))}" class="tag">${escape(categoryName)}</a>`;
+    }
+
+    getTagsHtml(post, lang) {
+        const escape = text => window.safeHtml.escape(text);
+        return post.tags.map(tag =>
+            `<a href="${escape(window.utils.getTagUrl(this.tags, tag, lang))}" class="tag">${escape(window.utils.getTagName(this.tags, tag, lang))}</a>`).join('');
+    }
+
+    byDate(a, b) {
+        return new Date(a.date) - new Date(b.date);
+    }
+
+    /**
+     * Other posts by relevance: shared tags, then the same category; ties go
+     * to the newer post. Posts with nothing in common are left out.
+     */
+    getRelatedPosts(post) {
+        const tags = new Set(post.tags || []);
+
+        return this.posts
+            .filter(other => other.id !== post.id)
+            .map(other => ({
+                post: other,
+                score: (other.tags || []).filter(tag => tags.has(tag)).length * this.relatedWeights.tag +
+                    (other.category === post.category ? this.relatedWeights.category : 0)
+            }))
+            .filter(entry => entry.score > 0)
+            .sort((a, b) => b.score - a.score || this.byDate(b.post, a.post))
+            .slice(0, this.relatedLimit)
+            .map(entry => entry.post);
+    }
+
+    /**
+     * The posts published just before and after this one
+     */
+    getAdjacentPosts(post) {
+        const ordered = [...this.posts].sort((a, b) => this.byDate(a, b));
+        const index = ordered.findIndex(other => other.id === post.id);
+        if (index === -1) return { previous: null, next: null };
+
+        return { previous: ordered[index - 1] || null, next: ordered[index + 1] || null };
+    }
+
+    /**
+     * Parts of the post's series, in publication order
+     */
+    getSeriesPosts(post) {
+        if (!post.series) return [];
+
+        // A previewed draft is not among this.posts but still has its place
+        const others = this.posts.filter(other => other.series === post.series && other.id !== post.id);
+        return [post, ...others].sort((a, b) => this.byDate(a, b));
+    }
+
+    getSeriesHtml(post, lang) {
+        const escape = text => window.safeHtml.escape(text);
+        const parts = this.getSeriesPosts(post);
+        if (parts.length < 2) return '';
+
+        const name = window.utils.getLocalized(this.series, lang)?.[post.series] || post.series;
+        const part = parts.findIndex(other => other.id === post.id) + 1;
+        const items = parts.map(other => (other.id === post.id
+            ? `<li aria-current="page"><span>${escape(window.utils.getLocalized(other.title, lang))}</span></li>`
+            : `<li><a href="${escape(window.utils.getPostUrl(other.id, lang))}">${escape(window.utils.getLocalized(other.title, lang))}</a></li>`));
+        const label = window.utils.translate('blog.seriesPart', `Part ${part} of ${parts.length}`, { part, total: parts.length });
+
+        return `
+      <p class="post-series-label">${escape(label)}</p>
+      <p class="post-series-name">${escape(name)}</p>
+      <ol class="post-series-list">
+        ${items.join('\n        ')}
+      </ol>
+    `;
+    }
+
+    getAdjacentHtml(post, lang) {
+        const { previous, next } = this.getAdjacentPosts(post);
+        if (!previous && !next) return '';
+
+        return `
+      ${this.getAdjacentLinkHtml(previous, 'prev', window.utils.translate('blog.previousPost', 'Previous post'), lang)}
+      ${this.getAdjacentLinkHtml(next, 'next', window.utils.translate('blog.nextPost', 'Next post'), lang)}
+    `;
+    }
+
+    // An empty cell keeps "next" on the right when there is no previous post
+    getAdjacentLinkHtml(other, rel, label, lang) {
+        if (!other) return '<span></span>';
+
+        const escape = text => window.safeHtml.escape(text);
+        return `<a href="${escape(window.utils.getPostUrl(other.id, lang))}" class="post-adjacent-link ${rel}" rel="${rel}">
+        <span class="post-adjacent-label">${escape(label)}</span>
+        <span class="post-adjacent-title">${escape(window.utils.getLocalized(other.title, lang))}</span>
+      </a>`;
+    }
+
+    getRelatedHtml(post, lang) {
+        const related = this.getRelatedPosts(post);
+        if (related.length === 0) return '';
+
+        const escape = text => window.safeHtml.escape(text);
+        return `
+      <h4 class="post-footer-heading">${escape(window.utils.translate('blog.relatedPosts', 'Related posts'))}</h4>
+      <ul class="related-posts-list">
+        ${related.map(other => `
+        <li>
+          <a href="${escape(window.utils.getPostUrl(other.id, lang))}" class="related-post">
+            <span class="related-post-title">${escape(window.utils.getLocalized(other.title, lang))}</span>
+            <span class="related-post-meta">${escape(this.getDate(other, lang))} · ${escape(window.utils.getLocalized(this.categories, lang)?.[other.category] || other.category)}</span>
+          </a>
+        </li>`).join('')}
+      </ul>
+    `;
+    }
+
+    /**
+     * Fetch and show the post body. Markdown and HTML posts alike are
+     * sanitized against safeHtml.contentTags before they reach the page.
+     */
+    async loadContent(contentPath) {
+        const container = document.getElementById('postContent');
+        const escape = text => window.safeHtml.escape(text);
+
+        try {
+            if (window.markdown?.isMarkdownPath(contentPath)) {
+                const doc = await window.markdown.fetchDocument(contentPath);
+                if (this.destroyed) return;
+                window.utils.renderHtml(container, window.safeHtml.sanitize(doc.html));
+                this.enhanceContent();
+                return;
+            }
+
+            const html = await window.dataLoader.load(contentPath, { type: 'text' });
+            if (this.destroyed) return;
+            window.utils.renderHtml(container, window.safeHtml.sanitize(html));
+            this.enhanceContent();
+        } catch (error) {
+            if (this.destroyed) return;
+            if (error.status === 404) {
+                // If file doesn't exist, show placeholder content
+                const lang = this.getCurrentLang();
+                container.innerHTML = `
+          <p>${escape(window.utils.getLocalized(this.post.excerpt, lang))}</p>
+          <p style="color: var(--text-tertiary); font-style: italic; margin-top: var(--space-8);">
+            ${escape(window.utils.translate('blog.comingSoon', 'Full content coming soon...'))}
+          </p>
+        `;
+                return;
+            }
+
+            console.error('Failed to load post content:', error);
+            window.dataLoader.showError(container, () => this.loadContent(contentPath));
+        }
+    }
+
+    // Typeset equations, highlight code blocks and build the table of
+    // contents for the loaded post
+    enhanceContent() {
+        const container = document.getElementById('postContent');
+        window.mathRenderer?.renderIn(container);
+        window.codeHighlighter?.highlightAll(container);
+        window.tableOfContents?.build(container);
+    }
+
+    /**
+     * Drafts look like missing posts; scheduled posts say when they go live
+     */
+    showUnavailable() {
+        if (this.status !== 'scheduled') {
+            this.showError();
+            return;
+        }
+
+        const lang = this.getCurrentLang();
+        const escape = text => window.safeHtml.escape(text);
+        const date = this.getPublishDate(this.post, lang);
+        document.getElementById('postTitle').textContent = window.utils.translate('blog.scheduledTitle', 'Coming soon');
+        document.getElementById('postContent').innerHTML = `
+      <div class="empty-state">
+        <p>${escape(window.utils.translate('blog.scheduledText', `This post will be published on ${date}.`, { date }))}</p>
+        <a href="blog.html" class="btn btn-primary" style="margin-top: var(--space-4);">
+          ${escape(window.utils.translate('blog.backToBlog', 'Back to Blog'))}
+        </a>
+      </div>
+    `;
+    }
+
+    showError() {
+        const escape = text => window.safeHtml.escape(text);
+        document.getElementById('postTitle').textContent = window.utils.translate('blog.postNotFound', 'Post not found');
+        document.getElementById('postContent').innerHTML = `
+      <div class="empty-state">
+        <p>${escape(window.utils.translate('blog.postNotFoundText', 'The post you are looking for does not exist.'))}</p>
+        <a href="blog.html" class="btn btn-primary" style="margin-top: var(--space-4);">
+          ${escape(window.utils.translate('blog.backToBlog', 'Back to Blog'))}
+        </a>
+      </div>
+    `;
+    }
+}
+
+// Initialize on page load if on a post page
+if (typeof document !== 'undefined') {
+    window.utils.onPageLoad(() => {
+        if (!document.getElementById('postContent')) return null;
+
+        const viewer = new BlogPostViewer();
+        viewer.init();
+        window.blogPostViewer = viewer;
+        return () => viewer.destroy();
+    });
+}
+
+// scripts/prerender.js renders the same post pages at build time
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { BlogPostViewer };
+}
@@ -1,6 +1,8 @@
 /**
  * Blog Module
- * Handles blog post listing, filtering, and pagination
+ * Handles blog post listing, filtering, and pagination. Besides blog.html it
+ * runs the prerendered landing page of each tag (blog/tag/<slug>.html) and
+ * category (blog/category/<key>.html), whose <body> names the fixed filter.
  */
 
 class BlogManager {
@@ -11,36 +13,165 @@ class BlogManager {
         this.currentPage = 1;
         this.postsPerPage = 6;
         this.currentCategory = 'all';
-        this.currentTag = null;
+        this.currentTags = [];
+        this.tagMatch = 'all';
+        this.currentArchive = '';
         this.searchQuery = '';
+        this.searchMatches = null;
+
+        // { tag } or { category } on a landing page
+        this.landing = null;
+
+        // Undo window/document listeners when js/router.js leaves the page
+        this.cleanup = [];
+        this.destroyed = false;
     }
 
     async init() {
+        const container = document.getElementById('blogGrid');
+        window.dataLoader.showSkeleton(container, this.postsPerPage);
+
         try {
-            const response = await fetch('data/blog-posts.json');
-            const data = await response.json();
+            // Posts with their front matter merged in (scripts/prerender.js)
+            const data = await window.dataLoader.load('data/blog-index.json', {
+                validate: data => (Array.isArray(data?.posts) ? null : 'no posts list')
+            });
+            if (this.destroyed) return;
+            window.dataLoader.showLoaded(container);
 
-            this.posts = data.posts.filter(post => post.published);
+            // Posts whose source failed to load at build time are left out rather than breaking the list
+            this.posts = data.posts.filter(post => window.utils.hasPostMetadata(post) && window.utils.isPostPublished(post));
             this.categories = data.categories;
             this.tags = data.tags;
+            this.landing = this.getLanding();
 
-            this.render();
+            this.restoreState(this.getStateFromUrl());
+            this.runSearch();
             this.setupEventListeners();
 
-            // Re-render when language changes
+            // Re-render when language changes, keeping the URL's lang in step
             if (window.i18n) {
-                window.i18n.subscribe(() => this.render());
+                this.cleanup.push(window.i18n.subscribe(() => {
+                    this.updateUrl(true);
+                    this.renderHeading();
+                    this.runSearch();
+                }));
             }
         } catch (error) {
             console.error('Failed to load blog posts:', error);
-            this.renderEmpty();
+            if (!this.destroyed) window.dataLoader.showError(container, () => this.init());
         }
     }
 
+    destroy() {
+        this.destroyed = true;
+        this.cleanup.forEach(undo => undo());
+        this.cleanup = [];
+    }
+
+    /**
+     * Listen on window or document until destroy()
+     */
+    listen(target, type, handler) {
+        target.addEventListener(type, handler);
+        this.cleanup.push(() => target.removeEventListener(type, handler));
+    }
+
     getCurrentLang() {
         return window.i18n?.getLanguage() || 'en';
     }
 
+    getLanding() {
+        const { blogTag, blogCategory } = document.body.dataset;
+        if (blogTag) return { tag: blogTag };
+        if (blogCategory) return { category: blogCategory };
+        return null;
+    }
+
+    /**
+     * Read filter state from the query string, e.g.
+     * blog.html?category=economics&tag=stata,python&match=any&archive=2026-01&q=did&page=2&lang=pt
+     * Tags are slugs in the page's language; a landing page's own filter
+     * comes from the page and can't be changed from the query string.
+     */
+    getStateFromUrl() {
+        const params = new URLSearchParams(window.location.search);
+        const page = parseInt(params.get('page'));
+        const archive = params.get('archive') || '';
+        const tags = (params.get('tag') || '').split(',')
+            .map(slug => window.utils.findTag(this.tags, slug))
+            .filter((tag, index, all) => tag && all.indexOf(tag) === index);
+
+        return {
+            category: this.landing?.category || params.get('category') || 'all',
+            tags: this.landing?.tag ? [this.landing.tag] : tags,
+            match: params.get('match') === 'any' ? 'any' : 'all',
+            archive: /^\d{4}(-\d{2})?$/.test(archive) ? archive : '',
+            query: params.get('q') || '',
+            page: page > 0 ? page : 1,
+            lang: params.get('lang')
+        };
+    }
+
+    /**
+     * Fix the filter to a landing page's tag or category (for scripts/prerender.js,
+     * which has no <body> to read it from)
+     */
+    setLanding(landing) {
+        this.landing = landing;
+        this.currentCategory = landing?.category || 'all';
+        this.currentTags = landing?.tag ? [landing.tag] : [];
+    }
+
+    restoreState(state) {
+        this.currentCategory = state.category;
+        this.currentTags = state.tags;
+        this.tagMatch = state.match;
+        this.currentArchive = state.archive;
+        this.searchQuery = state.query;
+        this.currentPage = state.page;
+
+        const searchInput = document.getElementById('blogSearch');
+        if (searchInput) {
+            searchInput.value = state.query;
+        }
+
+        if (state.lang && window.i18n && state.lang !== this.getCurrentLang()) {
+            window.i18n.setLanguage(state.lang);
+        }
+    }
+
+    /**
+     * Write the current filter state to the query string. Search keystrokes
+     * replace the current entry; other changes push a new one for the back button.
+     */
+    updateUrl(replace = false) {
+        const params = new URLSearchParams();
+        const lang = this.getCurrentLang();
+
+        if (!this.landing) {
+            if (this.currentCategory !== 'all') params.set('category', this.currentCategory);
+            if (this.currentTags.length > 0) {
+                params.set('tag', this.currentTags.map(tag => window.utils.getTagSlug(this.tags, tag, lang)).join(','));
+            }
+            if (this.currentTags.length > 1 && this.tagMatch === 'any') params.set('match', 'any');
+        }
+        if (this.currentArchive) params.set('archive', this.currentArchive);
+        if (this.searchQuery) params.set('q', this.searchQuery);
+        if (this.currentPage > 1) params.set('page', this.currentPage);
+        params.set('lang', lang);
+
+        // Keep the commas between tags readable
+        const url = `${window.location.pathname}?${params.toString().replace(/%2C/g, ',')}${window.location.hash}`;
+        if (url === `${window.location.pathname}${window.location.search}${window.location.hash}`) return;
+
+        if (replace) {
+            history.replaceState(null, '', url);
+        } else {
+            history.pushState(null, '', url);
+        }
+    }
+
     getFilteredPosts() {
         let filtered = [...this.posts];
 
@@ -49,18 +180,37 @@ class BlogManager {
             filtered = filtered.filter(post => post.category === this.currentCategory);
         }
 
-        // Filter by tag
-        if (this.currentTag) {
-            filtered = filtered.filter(post => post.tags.includes(this.currentTag));
+        // Filter by tags: posts with every selected tag, or with any of them
+        if (this.currentTags.length > 0) {
+            const method = this.tagMatch === 'any' ? 'some' : 'every';
+            filtered = filtered.filter(post => this.currentTags[method](tag => post.tags.includes(tag)));
+        }
+
+        // Filter by year ("2026") or month ("2026-01")
+        if (this.currentArchive) {
+            filtered = filtered.filter(post => this.getArchiveKey(post).startsWith(this.currentArchive));
         }
 
         // Filter by search query
+        this.searchMatches = null;
         if (this.searchQuery) {
-            const query = this.searchQuery.toLowerCase();
             const lang = this.getCurrentLang();
+            const results = window.searchIndex?.search(this.searchQuery, lang);
+
+            if (results) {
+                // Full-text index is ready: keep matching posts in rank order
+                this.searchMatches = new Map(results.map(result => [result.id, result]));
+                return filtered
+                    .filter(post => this.searchMatches.has(post.id))
+                    .sort((a, b) => this.searchMatches.get(b.id).score - this.searchMatches.get(a.id).score);
+            }
+
+            // Index still building: fall back to title and excerpt matching,
+            // accent-insensitive like the index
+            const query = window.utils.normalizeText(this.searchQuery);
             filtered = filtered.filter(post => {
-                const title = post.title[lang].toLowerCase();
-                const excerpt = post.excerpt[lang].toLowerCase();
+                const title = window.utils.normalizeText(window.utils.getLocalized(post.title, lang));
+                const excerpt = window.utils.normalizeText(window.utils.getLocalized(post.excerpt, lang));
                 return title.includes(query) || excerpt.includes(query);
             });
         }
@@ -82,51 +232,95 @@ class BlogManager {
         return Math.ceil(this.getFilteredPosts().length / this.postsPerPage);
     }
 
+    /**
+     * Render immediately, then again once the full-text index for the
+     * current language has been built (only done the first time it's needed)
+     */
+    async runSearch() {
+        this.render();
+
+        const lang = this.getCurrentLang();
+        if (!this.searchQuery || !window.searchIndex || window.searchIndex.isReady(lang)) return;
+
+        try {
+            await window.searchIndex.build(this.posts, lang);
+        } catch (error) {
+            // Titles and excerpts still match without the full-text index
+            console.error('Failed to build search index:', error);
+            return;
+        }
+        if (this.searchQuery && this.getCurrentLang() === lang && !this.destroyed) {
+            this.render();
+        }
+    }
+
     render() {
         this.renderPosts();
         this.renderCategories();
         this.renderTags();
+        this.renderArchive();
         this.renderPagination();
+        this.renderFeedLinks();
+    }
+
+    /**
+     * Point the subscribe links at the feeds for the current language
+     * (generated by scripts/build-feeds.js)
+     */
+    renderFeedLinks() {
+        const lang = this.getCurrentLang();
+        document.querySelectorAll('[data-feed]').forEach(link => {
+            link.href = `feeds/${link.dataset.feed}-${lang}.xml`;
+        });
     }
 
     renderPosts() {
         const container = document.getElementById('blogGrid');
         if (!container) return;
 
-        const posts = this.getPaginatedPosts();
-        const lang = this.getCurrentLang();
+        window.utils.renderHtml(container, this.getPostsHtml(this.getCurrentLang()));
+    }
 
-        if (posts.length === 0) {
-            this.renderEmpty();
-            return;
-        }
+    /**
+     * Markup builders below are shared with scripts/prerender.js, so the
+     * static pages and the runtime render stay identical. Data goes through
+     * js/safe-html.js; search matches come highlighted and already escaped.
+     */
+    getPostsHtml(lang) {
+        const posts = this.getPaginatedPosts();
+        if (posts.length === 0) return this.getEmptyHtml(lang);
 
-        container.innerHTML = posts.map(post => this.createPostCard(post, lang)).join('');
+        return posts.map(post => this.createPostCard(post, lang)).join('');
     }
 
     createPostCard(post, lang) {
+        const escape = text => window.safeHtml.escape(text);
         const date = window.utils?.formatDate(post.date, lang) || post.date;
-        const categoryName = this.categories[lang]?.[post.category] || post.category;
-        const readingTimeText = lang === 'pt' ? 'min de leitura' : 'min read';
+        const categoryName = window.utils.getLocalized(this.categories, lang)?.[post.category] || post.category;
+        const minutes = window.utils.getLocalized(post.readingTime, lang);
+        const readingTime = window.utils.translate('blog.readingTime', `${minutes} min read`, { minutes });
+        const match = this.searchMatches?.get(post.id);
+        const title = match ? match.title : escape(window.utils.getLocalized(post.title, lang));
+        const excerpt = match ? match.snippet : escape(window.utils.getLocalized(post.excerpt, lang));
 
         return `
-      <article class="blog-card" data-post-id="${post.id}">
+      <article class="blog-card" data-post-id="${escape(post.id)}">
         <div class="blog-card-image" style="background: linear-gradient(135deg, var(--primary-light), var(--bg-tertiary));">
-          ${post.image ? `<img src="${post.image}" alt="${post.title[lang]}" loading="lazy">` : ''}
+          ${post.image ? `<img src="${window.safeHtml.url(post.image, '')}" alt="${escape(window.utils.getLocalized(post.title, lang))}" loading="lazy">` : ''}
         </div>
         <div class="blog-card-content">
           <div class="blog-card-meta">
-            <span>${date}</span>
+            <span>${escape(date)}</span>
             <span>•</span>
-            <span>${post.readingTime} ${readingTimeText}</span>
+            <span>${escape(readingTime)}</span>
           </div>
           <h3 class="blog-card-title">
-            <a href="blog-post.html?id=${post.id}">${post.title[lang]}</a>
+            <a href="${escape(window.utils.getPostUrl(post.id, lang))}">${title}</a>
           </h3>
-          <p class="blog-card-excerpt">${post.excerpt[lang]}</p>
+          <p class="blog-card-excerpt">${excerpt}</p>
           <div class="blog-card-tags">
             ${post.tags.slice(0, 3).map(tag => `
-              <span class="tag" data-tag="${tag}">${tag}</span>
+              <a href="${escape(window.utils.getTagUrl(this.tags, tag, lang))}" class="tag" data-tag="${escape(tag)}">${escape(window.utils.getTagName(this.tags, tag, lang))}</a>
             `).join('')}
           </div>
         </div>
@@ -134,19 +328,15 @@ class BlogManager {
     `;
     }
 
-    renderEmpty() {
-        const container = document.getElementById('blogGrid');
-        if (!container) return;
+    getEmptyHtml(lang) {
+        const message = window.utils.translate('blog.noResults', 'No posts found');
 
-        const lang = this.getCurrentLang();
-        const message = lang === 'pt' ? 'Nenhum post encontrado' : 'No posts found';
-
-        container.innerHTML = `
+        return `
       <div class="empty-state" style="grid-column: 1 / -1;">
         <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke="currentColor">
           <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 20H5a2 2 0 01-2-2V6a2 2 0 012-2h10a2 2 0 012 2v1m2 13a2 2 0 01-2-2V7m2 13a2 2 0 002-2V9a2 2 0 00-2-2h-2m-4-3H9M7 16h6M7 8h6v4H7V8z" />
         </svg>
-        <h3>${message}</h3>
+        <h3>${window.safeHtml.escape(message)}</h3>
       </div>
     `;
     }
@@ -155,53 +345,178 @@ class BlogManager {
         const container = document.getElementById('categoryList');
         if (!container) return;
 
-        const lang = this.getCurrentLang();
-        const allText = lang === 'pt' ? 'Todos' : 'All';
+        window.utils.renderHtml(container, this.getCategoriesHtml(this.getCurrentLang()));
+    }
+
+    getCategoriesHtml(lang) {
+        const escape = text => window.safeHtml.escape(text);
+        const allText = window.utils.translate('blog.all', 'All');
 
         let html = `
-      <a href="#" class="category-item ${this.currentCategory === 'all' ? 'active' : ''}" data-category="all">
-        <span>${allText}</span>
-        <span>${this.posts.length}</span>
+      <a href="${escape(window.utils.getBlogUrl(lang))}" class="category-item ${this.currentCategory === 'all' ? 'active' : ''}" data-category="all">
+        <span>${escape(allText)}</span>
+        <span title="${escape(this.getPostCount(this.posts.length))}">${this.posts.length}</span>
       </a>
     `;
 
-        Object.entries(this.categories[lang] || {}).forEach(([key, name]) => {
+        Object.entries(window.utils.getLocalized(this.categories, lang) || {}).forEach(([key, name]) => {
             const count = this.posts.filter(p => p.category === key).length;
             if (count > 0) {
                 html += `
-          <a href="#" class="category-item ${this.currentCategory === key ? 'active' : ''}" data-category="${key}">
-            <span>${name}</span>
-            <span>${count}</span>
+          <a href="${escape(window.utils.getCategoryUrl(key, lang))}" class="category-item ${this.currentCategory === key ? 'active' : ''}" data-category="${escape(key)}">
+            <span>${escape(name)}</span>
+            <span title="${escape(this.getPostCount(count))}">${count}</span>
           </a>
         `;
             }
         });
 
-        container.innerHTML = html;
+        return html;
+    }
+
+    getPostCount(count) {
+        return window.utils.translate('blog.postCount', `${count} posts`, { count });
     }
 
     renderTags() {
         const container = document.getElementById('tagCloud');
         if (!container) return;
 
-        // Get unique tags from published posts
-        const usedTags = new Set();
-        this.posts.forEach(post => post.tags.forEach(tag => usedTags.add(tag)));
+        window.utils.renderHtml(container, this.getTagsHtml(this.getCurrentLang()));
+    }
+
+    /**
+     * Tag cloud in the current language. Tags link to their landing pages;
+     * on blog.html a click adds or removes the tag from the filter instead.
+     */
+    getTagsHtml(lang) {
+        const escape = text => window.safeHtml.escape(text);
 
-        container.innerHTML = Array.from(usedTags).map(tag => `
-      <span class="tag ${this.currentTag === tag ? 'active' : ''}" data-tag="${tag}">${tag}</span>
+        // Count tags of published posts
+        const counts = new Map();
+        this.posts.forEach(post => post.tags.forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1)));
+
+        const html = Array.from(counts).map(([tag, count]) => `
+      <a href="${escape(window.utils.getTagUrl(this.tags, tag, lang))}" class="tag ${this.currentTags.includes(tag) ? 'active' : ''}" data-tag="${escape(tag)}" title="${escape(this.getPostCount(count))}">${escape(window.utils.getTagName(this.tags, tag, lang))}</a>
     `).join('');
+
+        return this.currentTags.length > 1 ? this.getTagMatchHtml() + html : html;
+    }
+
+    /**
+     * Switch between posts with all of the selected tags and posts with any of them
+     */
+    getTagMatchHtml() {
+        const escape = text => window.safeHtml.escape(text);
+        const modes = {
+            all: window.utils.translate('blog.matchAll', 'All tags'),
+            any: window.utils.translate('blog.matchAny', 'Any tag')
+        };
+
+        return `
+      <div class="tag-match" role="group" aria-label="${escape(window.utils.translate('blog.tagMatch', 'Show posts with'))}">
+        ${Object.entries(modes).map(([mode, label]) => `
+          <button type="button" class="tag-match-btn ${this.tagMatch === mode ? 'active' : ''}" data-match="${mode}" aria-pressed="${this.tagMatch === mode}">${escape(label)}</button>
+        `).join('')}
+      </div>
+    `;
+    }
+
+    /**
+     * "2026-01" for a post dated 2026-01-16
+     */
+    getArchiveKey(post) {
+        return String(post.date).slice(0, 7);
+    }
+
+    renderArchive() {
+        const container = document.getElementById('archiveList');
+        if (!container) return;
+
+        window.utils.renderHtml(container, this.getArchiveHtml(this.getCurrentLang()));
+    }
+
+    /**
+     * Years and months with published posts, newest first, with post counts
+     */
+    getArchiveHtml(lang) {
+        const years = new Map();
+        this.posts.forEach(post => {
+            const [year, month] = this.getArchiveKey(post).split('-');
+            if (!years.has(year)) years.set(year, new Map());
+            years.get(year).set(month, (years.get(year).get(month) || 0) + 1);
+        });
+
+        return Array.from(years.keys()).sort().reverse().map(year => {
+            const months = years.get(year);
+            const total = Array.from(months.values()).reduce((sum, count) => sum + count, 0);
+
+            return `
+      <li class="archive-year">
+        ${this.getArchiveItemHtml(year, year, total, lang)}
+        <ul class="archive-months">
+          ${Array.from(months.keys()).sort().reverse().map(month => `
+            <li>${this.getArchiveItemHtml(`${year}-${month}`, this.getMonthName(`${year}-${month}`, lang), months.get(month), lang)}</li>
+          `).join('')}
+        </ul>
+      </li>
+    `;
+        }).join('');
+    }
+
+    getArchiveItemHtml(key, label, count, lang) {
+        const escape = text => window.safeHtml.escape(text);
+
+        return `
+          <a href="${escape(`${window.utils.getBlogUrl(lang)}?archive=${key}`)}" class="category-item ${this.currentArchive === key ? 'active' : ''}" data-archive="${escape(key)}">
+            <span class="archive-label">${escape(label)}</span>
+            <span title="${escape(this.getPostCount(count))}">${count}</span>
+          </a>
+        `;
+    }
+
+    getMonthName(key, lang) {
+        return window.i18n?.formatDate(`${key}-01`, { month: 'long' }, lang) || key;
+    }
+
+    /**
+     * Title and post count of a landing page
+     */
+    getHeading(lang) {
+        const { tag, category } = this.landing;
+        const count = this.posts.filter(post => tag ? post.tags.includes(tag) : post.category === category).length;
+
+        const name = tag
+            ? window.utils.getTagName(this.tags, tag, lang)
+            : window.utils.getLocalized(this.categories, lang)?.[category] || category;
+        const title = tag
+            ? window.utils.translate('blog.tagTitle', `Posts tagged “${name}”`, { tag: name })
+            : window.utils.translate('blog.categoryTitle', `Category: ${name}`, { category: name });
+
+        return { title, subtitle: this.getPostCount(count) };
+    }
+
+    renderHeading() {
+        if (!this.landing) return;
+
+        const { title, subtitle } = this.getHeading(this.getCurrentLang());
+        const titleElement = document.getElementById('blogTitle');
+        const subtitleElement = document.getElementById('blogSubtitle');
+        if (titleElement) titleElement.textContent = title;
+        if (subtitleElement) subtitleElement.textContent = subtitle;
+        document.title = document.title.replace(/^[^|]*\|/, `${title} |`);
     }
 
     renderPagination() {
         const container = document.getElementById('blogPagination');
         if (!container) return;
 
+        window.utils.renderHtml(container, this.getPaginationHtml());
+    }
+
+    getPaginationHtml() {
         const totalPages = this.getTotalPages();
-        if (totalPages <= 1) {
-            container.innerHTML = '';
-            return;
-        }
+        if (totalPages <= 1) return '';
 
         let html = `
       <button class="pagination-btn" ${this.currentPage === 1 ? 'disabled' : ''} data-page="${this.currentPage - 1}">
@@ -225,7 +540,7 @@ class BlogManager {
       </button>
     `;
 
-        container.innerHTML = html;
+        return html;
     }
 
     setupEventListeners() {
@@ -235,36 +550,65 @@ class BlogManager {
             searchInput.addEventListener('input', window.utils?.debounce((e) => {
                 this.searchQuery = e.target.value;
                 this.currentPage = 1;
-                this.render();
+                this.updateUrl(true);
+                this.runSearch();
             }, 300) || ((e) => {
                 this.searchQuery = e.target.value;
                 this.currentPage = 1;
-                this.render();
+                this.updateUrl(true);
+                this.runSearch();
             }));
         }
 
-        // Category links - use event delegation
+        // Category links - use event delegation. Landing pages follow the
+        // links to the other landing pages instead.
         const categoryList = document.getElementById('categoryList');
         if (categoryList) {
             categoryList.addEventListener('click', (e) => {
                 const link = e.target.closest('.category-item');
-                if (link) {
+                if (link && !this.landing) {
                     e.preventDefault();
                     this.currentCategory = link.dataset.category;
-                    this.currentTag = null;
+                    this.currentTags = [];
                     this.currentPage = 1;
+                    this.updateUrl();
                     this.render();
                 }
             });
         }
 
-        // Tags - use event delegation
-        document.addEventListener('click', (e) => {
-            if (e.target.classList.contains('tag') && e.target.dataset.tag) {
-                this.currentTag = this.currentTag === e.target.dataset.tag ? null : e.target.dataset.tag;
-                this.currentPage = 1;
-                this.render();
+        // Archive links - use event delegation; a second click clears the filter
+        const archiveList = document.getElementById('archiveList');
+        if (archiveList) {
+            archiveList.addEventListener('click', (e) => {
+                const link = e.target.closest('.category-item');
+                if (link) {
+                    e.preventDefault();
+                    this.currentArchive = this.currentArchive === link.dataset.archive ? '' : link.dataset.archive;
+                    this.currentPage = 1;
+                    this.updateUrl();
+                    this.render();
+                }
+            });
+        }
+
+        // Tags and the all/any switch - use event delegation
+        this.listen(document, 'click', (e) => {
+            const tag = e.target.closest('.tag[data-tag]');
+            const match = e.target.closest('.tag-match-btn');
+            if (this.landing || (!tag && !match)) return;
+
+            e.preventDefault();
+            if (match) {
+                this.tagMatch = match.dataset.match;
+            } else {
+                this.currentTags = this.currentTags.includes(tag.dataset.tag)
+                    ? this.currentTags.filter(current => current !== tag.dataset.tag)
+                    : [...this.currentTags, tag.dataset.tag];
             }
+            this.currentPage = 1;
+            this.updateUrl();
+            this.render();
         });
 
         // Pagination - use event delegation
@@ -274,19 +618,34 @@ class BlogManager {
                 const btn = e.target.closest('.pagination-btn');
                 if (btn && !btn.disabled) {
                     this.currentPage = parseInt(btn.dataset.page);
+                    this.updateUrl();
                     this.render();
-                    window.scrollTo({ top: 0, behavior: 'smooth' });
+                    window.scrollTo({ top: 0, behavior: window.utils.getScrollBehavior() });
                 }
             });
         }
+
+        // Back/forward buttons restore the filter state from the URL
+        this.listen(window, 'popstate', () => {
+            this.restoreState(this.getStateFromUrl());
+            this.runSearch();
+        });
     }
 }
 
-// Initialize on DOM ready if on blog page
-document.addEventListener('DOMContentLoaded', () => {
-    if (document.getElementById('blogGrid')) {
+// Initialize on page load if on blog page
+if (typeof document !== 'undefined') {
+    window.utils.onPageLoad(() => {
+        if (!document.getElementById('blogGrid')) return null;
+
         const blogManager = new BlogManager();
         blogManager.init();
         window.blogManager = blogManager;
-    }
-});
+        return () => blogManager.destroy();
+    });
+}
+
+// scripts/prerender.js renders the same cards at build time
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { BlogManager };
+}
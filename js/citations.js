@@ -0,0 +1,254 @@
+/**
+ * Citations Module
+ * Builds BibTeX, RIS, CSL-JSON and formatted APA/ABNT citations for research items
+ */
+
+class CitationBuilder {
+    constructor() {
+        // Entry types per research.json section
+        this.types = {
+            publications: { bibtex: 'article', ris: 'JOUR', csl: 'article-journal' },
+            working_papers: { bibtex: 'techreport', ris: 'RPRT', csl: 'report' },
+            works_in_progress: { bibtex: 'unpublished', ris: 'UNPB', csl: 'manuscript' }
+        };
+
+        this.formats = {
+            apa: { label: 'APA', extension: 'txt', mime: 'text/plain' },
+            abnt: { label: 'ABNT', extension: 'txt', mime: 'text/plain' },
+            bibtex: { label: 'BibTeX', extension: 'bib', mime: 'application/x-bibtex' },
+            ris: { label: 'RIS', extension: 'ris', mime: 'application/x-research-info-systems' },
+            csl: { label: 'CSL-JSON', extension: 'json', mime: 'application/vnd.citationstyles.csl+json' }
+        };
+
+        // Shared helpers (js/main.js; required directly outside the browser)
+        this.utils = (typeof window !== 'undefined' && window.utils) || require('./main.js');
+
+        // Translation keys (and English fallbacks) of the notes on unpublished work
+        this.notes = {
+            working_papers: ['citations.workingPaper', 'Working paper'],
+            works_in_progress: ['citations.workInProgress', 'Work in progress']
+        };
+    }
+
+    translate(key, fallback, lang) {
+        return typeof window !== 'undefined' && window.utils
+            ? window.utils.translate(key, fallback, null, lang)
+            : fallback;
+    }
+
+    getNote(section, lang) {
+        const [key, fallback] = this.notes[section];
+        return this.translate(key, fallback, lang);
+    }
+
+    /**
+     * Full author list in citation order: the site owner is inserted among
+     * the coauthors at item.authorPosition (1-based, default first)
+     */
+    getAuthors(item) {
+        const owner = window.configManager?.getConfig()?.profile?.name || 'Matheus Nascimento Loureiro';
+        const authors = [...(item.coauthors || [])];
+        const position = Math.min(Math.max((item.authorPosition || 1) - 1, 0), authors.length);
+        authors.splice(position, 0, owner);
+        return authors.map(name => this.parseName(name));
+    }
+
+    /**
+     * "Renato S. Vieira" -> { given: 'Renato S.', family: 'Vieira' }
+     */
+    parseName(name) {
+        if (typeof name === 'object') return name;
+
+        const parts = name.trim().split(/\s+/);
+        const family = parts.pop();
+        return { given: parts.join(' '), family };
+    }
+
+    initials(given) {
+        return given.split(/[\s-]+/).filter(Boolean).map(part => `${part[0].toUpperCase()}.`).join(' ');
+    }
+
+    getTitle(item, lang) {
+        return this.utils.getLocalized(item.title, lang);
+    }
+
+    getUrl(item) {
+        if (item.doi) return `https://doi.org/${item.doi}`;
+        return item.links?.find(link => link.type === 'pdf')?.url || item.links?.[0]?.url || '';
+    }
+
+    getKey(item, authors) {
+        const ascii = text => this.utils.normalizeText(text).replace(/[^a-z0-9]/g, '');
+        const firstWord = (item.title.en || '').split(/\s+/).find(word => word.length > 3) || item.id;
+        return `${ascii(authors[0].family)}${item.year || 'nd'}${ascii(firstWord)}`;
+    }
+
+    format(format, item, section, lang) {
+        switch (format) {
+            case 'apa': return this.toApa(item, section, lang);
+            case 'abnt': return this.toAbnt(item, section, lang);
+            case 'bibtex': return this.toBibTeX(item, section, lang);
+            case 'ris': return this.toRis(item, section, lang);
+            case 'csl': return JSON.stringify([this.toCsl(item, section, lang)], null, 2);
+            default: throw new Error(`Unknown citation format: ${format}`);
+        }
+    }
+
+    /**
+     * All items of one section in a single file
+     */
+    formatAll(format, items, section, lang) {
+        if (format === 'csl') {
+            return JSON.stringify(items.map(item => this.toCsl(item, section, lang)), null, 2);
+        }
+        return items.map(item => this.format(format, item, section, lang)).join('\n\n');
+    }
+
+    toBibTeX(item, section, lang) {
+        const authors = this.getAuthors(item);
+        const type = this.types[section].bibtex;
+        const escape = text => String(text).replace(/([{}&%$#_])/g, '\\$1');
+
+        const fields = [
+            ['author', authors.map(author => `${escape(author.family)}, ${escape(author.given)}`).join(' and ')],
+            ['title', `{${escape(this.getTitle(item, lang))}}`],
+            [type === 'article' ? 'journal' : type === 'techreport' ? 'institution' : 'howpublished', item.venue && escape(item.venue)],
+            ['volume', item.volume],
+            ['number', item.issue],
+            ['pages', item.pages],
+            ['year', item.year],
+            ['doi', item.doi],
+            ['url', !item.doi && this.getUrl(item)],
+            ['note', this.notes[section] && this.getNote(section, lang)]
+        ].filter(([, value]) => value);
+
+        const body = fields.map(([name, value]) => `  ${name} = {${value}}`).join(',\n');
+        return `@${type}{${this.getKey(item, authors)},\n${body}\n}`;
+    }
+
+    toRis(item, section, lang) {
+        const lines = [['TY', this.types[section].ris]];
+
+        this.getAuthors(item).forEach(author => lines.push(['AU', `${author.family}, ${author.given}`]));
+        lines.push(['TI', this.getTitle(item, lang)]);
+        if (item.venue) lines.push([section === 'publications' ? 'JO' : 'T2', item.venue]);
+        if (item.volume) lines.push(['VL', item.volume]);
+        if (item.issue) lines.push(['IS', item.issue]);
+        if (item.pages) {
+            const [start, end] = String(item.pages).split(/-+/);
+            lines.push(['SP', start]);
+            if (end) lines.push(['EP', end]);
+        }
+        if (item.year) lines.push(['PY', item.year]);
+        if (item.doi) lines.push(['DO', item.doi]);
+        if (this.getUrl(item)) lines.push(['UR', this.getUrl(item)]);
+        const abstract = this.utils.getLocalized(item.abstract, lang);
+        if (abstract) lines.push(['AB', abstract]);
+        if (this.notes[section]) lines.push(['N1', this.getNote(section, lang)]);
+        lines.push(['ER', '']);
+
+        return lines.map(([tag, value]) => `${tag}  - ${value}`).join('\n');
+    }
+
+    toCsl(item, section, lang) {
+        const csl = {
+            id: item.id,
+            type: this.types[section].csl,
+            title: this.getTitle(item, lang),
+            author: this.getAuthors(item).map(({ family, given }) => ({ family, given })),
+            language: lang
+        };
+
+        if (item.year) csl.issued = { 'date-parts': [[Number(item.year)]] };
+        if (item.venue) csl['container-title'] = item.venue;
+        if (item.volume) csl.volume = String(item.volume);
+        if (item.issue) csl.issue = String(item.issue);
+        if (item.pages) csl.page = String(item.pages);
+        if (item.doi) csl.DOI = item.doi;
+        if (this.getUrl(item)) csl.URL = this.getUrl(item);
+        const abstract = this.utils.getLocalized(item.abstract, lang);
+        if (abstract) csl.abstract = abstract;
+        if (this.notes[section]) csl.genre = this.getNote(section, lang);
+
+        return csl;
+    }
+
+    /**
+     * APA 7: Loureiro, M. N., Vieira, R. S., & Nunes, G. (2025). Title. Venue. https://doi.org/...
+     */
+    toApa(item, section, lang) {
+        const names = this.getAuthors(item).map(author => `${author.family}, ${this.initials(author.given)}`);
+        const authors = names.length > 1
+            ? `${names.slice(0, -1).join(', ')}, & ${names[names.length - 1]}`
+            : names[0];
+        const year = item.year || this.translate('citations.noDate', 'n.d.', lang);
+
+        let source = '';
+        if (section === 'publications') {
+            source = [item.venue, item.volume && `${item.volume}${item.issue ? `(${item.issue})` : ''}`, item.pages]
+                .filter(Boolean).join(', ');
+        } else {
+            const note = this.getNote(section, lang);
+            source = item.venue ? `[${note}]. ${item.venue}` : `[${note}]`;
+        }
+
+        const title = this.getTitle(item, lang);
+        const separator = section === 'publications' ? '. ' : ' ';
+        const parts = [`${authors} (${year}). ${title}${source ? separator + source : ''}.`];
+        if (this.getUrl(item)) parts.push(this.getUrl(item));
+
+        return parts.join(' ');
+    }
+
+    /**
+     * ABNT NBR 6023: LOUREIRO, Matheus Nascimento; VIEIRA, Renato S. Title. Venue, v. 1, n. 2, p. 3-4, 2025.
+     * A Brazilian standard, so its notes are in Portuguese whatever the page language.
+     */
+    toAbnt(item, section, lang) {
+        const authors = this.getAuthors(item)
+            .map(author => `${author.family.toUpperCase()}, ${author.given}`)
+            .join('; ');
+        const year = item.year || '[s.d.]';
+
+        const details = [
+            item.venue,
+            item.volume && `v. ${item.volume}`,
+            item.issue && `n. ${item.issue}`,
+            item.pages && `p. ${item.pages}`,
+            section !== 'publications' && this.getNote(section, 'pt'),
+            year
+        ].filter(Boolean).join(', ');
+
+        const parts = [`${authors}. ${this.getTitle(item, lang)}. ${details}.`];
+        if (item.doi) {
+            parts.push(`DOI: ${item.doi}.`);
+        } else if (this.getUrl(item)) {
+            parts.push(`${this.translate('citations.availableAt', 'Disponível em', 'pt')}: ${this.getUrl(item)}.`);
+        }
+
+        return parts.join(' ');
+    }
+
+    download(content, filename, format) {
+        const blob = new Blob([content], { type: `${this.formats[format].mime};charset=utf-8` });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${filename}.${this.formats[format].extension}`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+}
+
+// Create and export singleton
+const citationBuilder = new CitationBuilder();
+
+if (typeof window !== 'undefined') {
+    window.citationBuilder = citationBuilder;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CitationBuilder, citationBuilder };
+}
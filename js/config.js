@@ -10,8 +10,7 @@ class ConfigManager {
 
     async init() {
         try {
-            const response = await fetch('data/config.json');
-            this.config = await response.json();
+            this.config = await this.load();
             this.applySocialLinks();
             this.applyProfileInfo();
         } catch (error) {
@@ -19,6 +18,15 @@ class ConfigManager {
         }
     }
 
+    /**
+     * Fetch data/config.json once (js/data.js); other modules (theme presets) share it
+     */
+    load() {
+        return window.dataLoader.load('data/config.json', {
+            validate: data => (data?.social && data?.profile ? null : 'missing social or profile')
+        });
+    }
+
     getConfig() {
         return this.config;
     }
@@ -70,8 +78,16 @@ class ConfigManager {
 const configManager = new ConfigManager();
 
 // Initialize on DOM ready
-document.addEventListener('DOMContentLoaded', () => {
-    configManager.init();
-});
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', () => {
+        configManager.init();
+    });
+}
 
-window.configManager = configManager;
+if (typeof window !== 'undefined') {
+    window.configManager = configManager;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ConfigManager, configManager };
+}
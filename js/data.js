@@ -0,0 +1,161 @@
+/**
+ * Data Loader Module
+ * One place to fetch the site's data files (data/*.json, post content).
+ * Requests for the same file share one fetch and its result; a response
+ * must be ok and parse before it counts, and network errors or server
+ * errors are retried with backoff. Managers show the skeleton, error and
+ * retry UI from here in their own containers.
+ */
+
+class DataLoader {
+    constructor() {
+        // path -> Promise of the parsed data; failures are not kept
+        this.requests = new Map();
+
+        // path -> 'loading' | 'loaded' | 'error'
+        this.states = new Map();
+        this.observers = [];
+
+        // Retries after the first attempt, waiting retryDelay, then twice that, ...
+        this.retries = 3;
+        this.retryDelay = 500;
+    }
+
+    /**
+     * Fetch and parse a file once; later calls get the same result.
+     * type: 'json' or 'text'; validate(data) may return an error message
+     * for data of the wrong shape. Every caller's validate runs on the
+     * shared result. The result is shared: don't change it.
+     * cache: false fetches anew each time, for callers with their own cache.
+     */
+    load(path, { type = 'json', validate = null, cache = true } = {}) {
+        const request = (cache && this.requests.get(path)) || this.fetchShared(path, type, cache);
+
+        return request.then(data => {
+            const problem = validate ? validate(data) : null;
+            if (!problem) return data;
+
+            // Not kept either, so a retry fetches the file again
+            if (this.requests.get(path) === request) this.requests.delete(path);
+            const error = new Error(`Invalid data in ${path}: ${problem}`);
+            this.setState(path, 'error', error);
+            throw error;
+        });
+    }
+
+    fetchShared(path, type, cache) {
+        this.setState(path, 'loading');
+        const request = this.fetchWithRetry(path, type);
+
+        if (cache) this.requests.set(path, request);
+        request.then(() => this.setState(path, 'loaded'), error => {
+            if (this.requests.get(path) === request) this.requests.delete(path);
+            this.setState(path, 'error', error);
+        });
+
+        return request;
+    }
+
+    async fetchWithRetry(path, type) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this.fetchOnce(path, type);
+            } catch (error) {
+                if (attempt >= this.retries || !this.isRetryable(error)) throw error;
+                await new Promise(resolve => setTimeout(resolve, this.retryDelay * 2 ** attempt));
+            }
+        }
+    }
+
+    async fetchOnce(path, type) {
+        const response = await fetch(path);
+        if (!response.ok) {
+            const error = new Error(`Failed to fetch ${path}: ${response.status}`);
+            error.status = response.status;
+            throw error;
+        }
+
+        if (type === 'text') return response.text();
+
+        const text = await response.text();
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Invalid JSON in ${path}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Network failures and server errors may pass; a 404 or bad JSON won't
+     */
+    isRetryable(error) {
+        if (error.status === undefined) return error instanceof TypeError;
+        return error.status >= 500 || error.status === 408 || error.status === 429;
+    }
+
+    getState(path) {
+        return this.states.get(path) || null;
+    }
+
+    setState(path, state, error = null) {
+        this.states.set(path, state);
+        this.observers.forEach(callback => callback(path, state, error));
+    }
+
+    subscribe(callback) {
+        this.observers.push(callback);
+    }
+
+    /**
+     * Placeholder cards while a container's data loads. Prerendered markup
+     * is already the content, so it stays.
+     */
+    showSkeleton(container, count = 3) {
+        if (!container || container.dataset.prerendered) return;
+
+        const card = `
+      <div class="skeleton-card" aria-hidden="true">
+        <div class="skeleton skeleton-title"></div>
+        <div class="skeleton skeleton-line"></div>
+        <div class="skeleton skeleton-line"></div>
+        <div class="skeleton skeleton-line short"></div>
+      </div>
+    `;
+        container.setAttribute('aria-busy', 'true');
+        container.innerHTML = card.repeat(count);
+    }
+
+    /**
+     * Error message with a retry button in place of a container's content.
+     * Prerendered content still reads fine, so it is kept.
+     */
+    showError(container, onRetry, message = null) {
+        if (!container) return;
+
+        container.removeAttribute('aria-busy');
+        if (container.dataset.prerendered) return;
+
+        const escape = text => window.safeHtml.escape(text);
+        container.innerHTML = `
+      <div class="empty-state load-error" role="alert">
+        <p>${escape(message || window.utils.translate('common.loadError', 'This content could not be loaded. Check your connection and try again.'))}</p>
+        <button type="button" class="btn btn-secondary btn-sm load-error-retry">
+          ${escape(window.utils.translate('common.retry', 'Try again'))}
+        </button>
+      </div>
+    `;
+        container.querySelector('.load-error-retry').addEventListener('click', onRetry);
+    }
+
+    /**
+     * Done loading: clear the busy state set by showSkeleton()
+     */
+    showLoaded(container) {
+        if (container) container.removeAttribute('aria-busy');
+    }
+}
+
+// Create and export singleton
+const dataLoader = new DataLoader();
+
+window.dataLoader = dataLoader;
@@ -0,0 +1,220 @@
+/**
+ * Code Highlighting Module
+ * Syntax highlighting for Stata, R, Python and SQL code blocks, with copy buttons
+ */
+
+class CodeHighlighter {
+    constructor() {
+        this.aliases = {
+            stata: 'stata', do: 'stata', ado: 'stata',
+            r: 'r', rstats: 'r',
+            python: 'python', py: 'python', python3: 'python',
+            sql: 'sql', postgresql: 'sql', postgres: 'sql', mysql: 'sql', sqlite: 'sql'
+        };
+
+        this.labels = { stata: 'Stata', r: 'R', python: 'Python', sql: 'SQL' };
+
+        // Rules are tried left to right at each position; patterns must not
+        // contain capturing groups
+        this.languages = {
+            stata: {
+                flags: 'gm',
+                rules: [
+                    ['comment', /\/\/\/?[^\n]*|\/\*[\s\S]*?\*\/|^[ \t]*\*[^\n]*/],
+                    ['string', /`"[\s\S]*?"'|"(?:[^"\\\n]|\\.)*"/],
+                    ['macro', /`[^'\n]*'|\$\{?\w+\}?/],
+                    ['number', /\b\d+(?:\.\d+)?(?:e[+-]?\d+)?\b|\.\d+\b/],
+                    ['keyword', this.words([
+                        'if', 'in', 'using', 'by', 'bysort', 'bys', 'foreach', 'forvalues', 'forval',
+                        'while', 'local', 'loc', 'global', 'gl', 'tempvar', 'tempname', 'tempfile',
+                        'program', 'end', 'capture', 'cap', 'quietly', 'qui', 'noisily', 'noi',
+                        'preserve', 'restore', 'else', 'of', 'varlist', 'numlist', 'args', 'syntax',
+                        'return', 'ereturn', 'sreturn', 'exit', 'continue', 'version', 'set', 'clear'
+                    ])],
+                    ['builtin', this.words([
+                        'use', 'save', 'merge', 'append', 'collapse', 'reshape', 'keep', 'drop',
+                        'gen', 'generate', 'replace', 'egen', 'rename', 'recode', 'label', 'sort',
+                        'gsort', 'order', 'encode', 'decode', 'destring', 'tostring', 'expand',
+                        'duplicates', 'summarize', 'sum', 'su', 'tabulate', 'tab', 'tabstat', 'describe',
+                        'des', 'count', 'list', 'display', 'di', 'regress', 'reg', 'xtreg', 'areg',
+                        'reghdfe', 'ivregress', 'ivreg2', 'logit', 'probit', 'poisson', 'ppmlhdfe',
+                        'xtset', 'tsset', 'predict', 'margins', 'test', 'lincom', 'estimates', 'est',
+                        'eststo', 'esttab', 'outreg2', 'twoway', 'scatter', 'line', 'histogram',
+                        'graph', 'coefplot', 'import', 'export', 'insheet', 'outsheet', 'cd', 'log',
+                        'ssc', 'install', 'help', 'didregress', 'csdid', 'did_multiplegt', 'eventstudyinteract'
+                    ])],
+                    ['function', /\b[a-zA-Z_]\w*(?=\()/],
+                    ['operator', /[=<>!~&|+\-*/^]+/]
+                ]
+            },
+            r: {
+                flags: 'g',
+                rules: [
+                    ['comment', /#[^\n]*/],
+                    ['string', /"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'/],
+                    ['number', /\b(?:0x[\da-fA-F]+|\d+(?:\.\d+)?(?:[eE][+-]?\d+)?)L?\b/],
+                    ['keyword', this.words([
+                        'if', 'else', 'repeat', 'while', 'function', 'for', 'in', 'next', 'break',
+                        'return', 'library', 'require', 'TRUE', 'FALSE', 'NULL', 'Inf', 'NaN',
+                        'NA', 'NA_integer_', 'NA_real_', 'NA_character_'
+                    ])],
+                    ['function', /\b[a-zA-Z.][\w.]*(?=\()/],
+                    ['operator', /<<-|->>|<-|->|%[^%\n]*%|\|>|[=<>!&|+\-*/^~$@:]+/]
+                ]
+            },
+            python: {
+                flags: 'gm',
+                rules: [
+                    ['comment', /#[^\n]*/],
+                    ['string', /[rRbBfFuU]{0,2}(?:"""[\s\S]*?"""|'''[\s\S]*?'''|"(?:[^"\\\n]|\\.)*"|'(?:[^'\\\n]|\\.)*')/],
+                    ['decorator', /^[ \t]*@[\w.]+/],
+                    ['number', /\b(?:0[xob][\da-fA-F_]+|\d[\d_]*(?:\.\d*)?(?:[eE][+-]?\d+)?j?)\b/],
+                    ['keyword', this.words([
+                        'False', 'None', 'True', 'and', 'as', 'assert', 'async', 'await', 'break',
+                        'class', 'continue', 'def', 'del', 'elif', 'else', 'except', 'finally', 'for',
+                        'from', 'global', 'if', 'import', 'in', 'is', 'lambda', 'nonlocal', 'not',
+                        'or', 'pass', 'raise', 'return', 'try', 'while', 'with', 'yield', 'match', 'case'
+                    ])],
+                    ['builtin', this.words([
+                        'print', 'len', 'range', 'enumerate', 'zip', 'map', 'filter', 'sum', 'min',
+                        'max', 'abs', 'round', 'sorted', 'reversed', 'list', 'dict', 'set', 'tuple',
+                        'int', 'float', 'str', 'bool', 'open', 'type', 'isinstance', 'super', 'self'
+                    ])],
+                    ['function', /\b[a-zA-Z_]\w*(?=\()/],
+                    ['operator', /[=<>!&|+\-*/%^~@]+/]
+                ]
+            },
+            sql: {
+                flags: 'gi',
+                rules: [
+                    ['comment', /--[^\n]*|\/\*[\s\S]*?\*\//],
+                    ['string', /'(?:[^']|'')*'/],
+                    ['variable', /"[^"\n]*"|`[^`\n]*`/],
+                    ['number', /\b\d+(?:\.\d+)?\b/],
+                    ['keyword', this.words([
+                        'select', 'from', 'where', 'group', 'by', 'order', 'having', 'join', 'left',
+                        'right', 'inner', 'outer', 'full', 'cross', 'on', 'as', 'and', 'or', 'not',
+                        'in', 'is', 'null', 'like', 'ilike', 'between', 'case', 'when', 'then', 'else',
+                        'end', 'insert', 'into', 'values', 'update', 'set', 'delete', 'create', 'table',
+                        'view', 'index', 'drop', 'alter', 'with', 'union', 'all', 'distinct', 'limit',
+                        'offset', 'over', 'partition', 'window', 'asc', 'desc', 'exists', 'primary',
+                        'key', 'references', 'using', 'true', 'false'
+                    ])],
+                    ['function', /\b[a-zA-Z_]\w*(?=\()/],
+                    ['operator', /[=<>!|+\-*/%]+/]
+                ]
+            }
+        };
+
+        Object.values(this.languages).forEach(language => {
+            language.pattern = new RegExp(
+                language.rules.map(([, rule]) => `(${rule.source})`).join('|'),
+                language.flags
+            );
+        });
+    }
+
+    words(list) {
+        return new RegExp(`\\b(?:${list.join('|')})\\b`);
+    }
+
+    resolveLanguage(name) {
+        return this.aliases[(name || '').toLowerCase()] || null;
+    }
+
+    getLanguage(code) {
+        const match = code.className.match(/(?:^|\s)lang(?:uage)?-([\w+#-]+)/);
+        return match ? match[1].toLowerCase() : null;
+    }
+
+    /**
+     * Return highlighted, escaped HTML for a snippet of code
+     */
+    highlight(source, language) {
+        const definition = this.languages[this.resolveLanguage(language)];
+        if (!definition) return window.safeHtml.escape(source);
+
+        const { pattern, rules } = definition;
+        let html = '';
+        let cursor = 0;
+        let match;
+
+        pattern.lastIndex = 0;
+        while ((match = pattern.exec(source)) !== null) {
+            if (match[0] === '') {
+                pattern.lastIndex++;
+                continue;
+            }
+
+            const ruleIndex = match.slice(1).findIndex(group => group !== undefined);
+            html += window.safeHtml.escape(source.slice(cursor, match.index));
+            html += `<span class="hl-${rules[ruleIndex][0]}">${window.safeHtml.escape(match[0])}</span>`;
+            cursor = match.index + match[0].length;
+        }
+
+        return html + window.safeHtml.escape(source.slice(cursor));
+    }
+
+    /**
+     * Highlight every <pre><code> in a container and give each block a
+     * header with its language and a copy button
+     */
+    highlightAll(container) {
+        if (!container) return;
+
+        container.querySelectorAll('pre > code').forEach(code => {
+            const pre = code.parentElement;
+            if (pre.parentElement.classList.contains('code-block')) return;
+
+            const language = this.getLanguage(code);
+            if (this.resolveLanguage(language)) {
+                code.innerHTML = this.highlight(code.textContent, language);
+            }
+
+            this.addToolbar(pre, code, language);
+        });
+    }
+
+    addToolbar(pre, code, language) {
+        const wrapper = document.createElement('div');
+        wrapper.className = 'code-block';
+
+        const header = document.createElement('div');
+        header.className = 'code-block-header';
+
+        const label = document.createElement('span');
+        label.className = 'code-block-lang';
+        label.textContent = this.labels[this.resolveLanguage(language)] || (language || '').toUpperCase();
+
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'code-copy-btn';
+        button.textContent = window.utils.translate('blog.copyCode', 'Copy');
+        button.addEventListener('click', () => this.copy(code.textContent, button));
+
+        header.append(label, button);
+        pre.replaceWith(wrapper);
+        wrapper.append(header, pre);
+    }
+
+    async copy(text, button) {
+        try {
+            await window.utils.copyToClipboard(text);
+            button.textContent = window.utils.translate('blog.codeCopied', 'Copied!');
+            button.classList.add('copied');
+        } catch (error) {
+            console.error('Failed to copy code:', error);
+            button.textContent = window.utils.translate('common.error', 'Something went wrong');
+        }
+
+        setTimeout(() => {
+            button.textContent = window.utils.translate('blog.copyCode', 'Copy');
+            button.classList.remove('copied');
+        }, 2000);
+    }
+}
+
+// Create and export singleton
+const codeHighlighter = new CodeHighlighter();
+
+window.codeHighlighter = codeHighlighter;
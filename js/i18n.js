@@ -1,29 +1,66 @@
 /**
  * Internationalization (i18n) Module
- * Handles language switching between English and Portuguese
+ * Handles language switching. The languages are the top-level keys of
+ * data/translations.json; each one describes itself under "meta"
  */
 
 class I18n {
   constructor() {
-    this.currentLang = localStorage.getItem('language') || 'en';
+    this.defaultLang = 'en';
+
+    // Until the language list loads: a language in the URL (?lang=pt or a
+    // pt/ copy of the page), the stored choice, then the page's own language.
+    // init() settles it, asking the browser on a first visit.
+    this.urlLang = this.getUrlLanguage();
+    this.storedLang = typeof localStorage !== 'undefined' ? localStorage.getItem('language') : null;
+    this.pageLang = typeof document !== 'undefined' ? document.documentElement.lang : null;
+    this.currentLang = this.urlLang || this.storedLang || this.pageLang || this.defaultLang;
     this.translations = {};
     this.observers = [];
+
+    // Named styles of {value, number, <style>}
+    this.numberStyles = {
+      integer: { maximumFractionDigits: 0 },
+      percent: { style: 'percent' }
+    };
+
+    // Escaping and sanitizing (js/safe-html.js, loaded before this module;
+    // required directly by the build scripts, which have no window)
+    this.safeHtml = (typeof window !== 'undefined' && window.safeHtml) || require('./safe-html.js').safeHtml;
+
+    // Markup that survives in rich-text (data-i18n-html) translations
+    this.allowedTags = {
+      a: ['href', 'title'],
+      b: [], strong: [], i: [], em: [], code: [], br: [], small: [], sup: [], sub: [],
+      span: ['class']
+    };
   }
 
   async init() {
     try {
-      const response = await fetch('data/translations.json');
-      this.translations = await response.json();
+      this.translations = await window.dataLoader.load('data/translations.json', {
+        validate: data => (data?.[this.defaultLang] ? null : `no "${this.defaultLang}" messages`)
+      });
+
+      const initialLang = this.currentLang;
+      this.currentLang = this.pickLanguage();
+
+      // A language given by the URL becomes the visitor's choice
+      if (this.currentLang === this.urlLang) localStorage.setItem('language', this.currentLang);
+
+      this.renderLangButtons();
       this.applyTranslations();
       this.updateLangButtons();
+
+      if (this.currentLang !== initialLang) this.notifyObservers();
     } catch (error) {
       console.error('Failed to load translations:', error);
     }
   }
 
   setLanguage(lang) {
-    if (lang !== 'en' && lang !== 'pt') return;
-    
+    if (!this.isSupported(lang)) return;
+
     this.currentLang = lang;
     localStorage.setItem('language', lang);
     this.applyTranslations();
@@ -31,35 +68,313 @@ class I18n {
     this.notifyObservers();
   }
 
+  /**
+   * Toggle button: on a copy in a language folder, load the sibling copy;
+   * elsewhere switch in place and record the language as ?lang=
+   */
+  switchLanguage(lang) {
+    if (!this.isSupported(lang) || lang === this.currentLang) return;
+
+    if (this.getPathLanguage()) {
+      localStorage.setItem('language', lang);
+      window.location.assign(this.getLanguageUrl(lang).href);
+      return;
+    }
+
+    this.setLanguage(lang);
+    history.replaceState(history.state, '', this.getLanguageUrl(lang).href);
+  }
+
   getLanguage() {
     return this.currentLang;
   }
 
-  translate(key) {
-    const keys = key.split('.');
-    let value = this.translations[this.currentLang];
-    
-    for (const k of keys) {
-      if (value && typeof value === 'object') {
-        value = value[k];
-      } else {
-        return key;
+  /**
+   * First supported of: URL language, stored choice, browser languages,
+   * the page's language, the default
+   */
+  pickLanguage() {
+    const browserLang = this.urlLang || this.storedLang ? null : this.negotiate(this.getBrowserLanguages());
+
+    return [this.urlLang, this.storedLang, browserLang, this.pageLang]
+      .find(lang => lang && this.isSupported(lang)) || this.defaultLang;
+  }
+
+  getBrowserLanguages() {
+    if (typeof navigator === 'undefined') return [];
+    return navigator.languages?.length ? [...navigator.languages] : [navigator.language].filter(Boolean);
+  }
+
+  /**
+   * Best site language for a list of BCP 47 tags in order of preference:
+   * an exact code or locale match ("pt", "pt-BR"), else the same base language
+   * ("pt-PT" -> "pt")
+   */
+  negotiate(requested) {
+    const languages = this.getLanguages();
+    const base = tag => tag.toLowerCase().split('-')[0];
+
+    for (const tag of requested) {
+      const exact = languages.find(code =>
+        code.toLowerCase() === tag.toLowerCase() || this.getLocale(code).toLowerCase() === tag.toLowerCase());
+      if (exact) return exact;
+
+      const sameBase = languages.find(code => base(code) === base(tag));
+      if (sameBase) return sameBase;
+    }
+
+    return null;
+  }
+
+  getUrlLanguage() {
+    if (typeof window === 'undefined' || !window.location) return null;
+    return new URLSearchParams(window.location.search).get('lang') || this.getPathLanguage();
+  }
+
+  /**
+   * Language folder of a prerendered copy: "pt" for pt/blog.html and
+   * pt/blog/<id>.html (their <base> points back at the site root)
+   */
+  getPathLanguage() {
+    if (typeof document === 'undefined') return null;
+
+    const siteRoot = new URL('.', document.baseURI).pathname;
+    const path = window.location.pathname;
+    if (!path.startsWith(siteRoot)) return null;
+
+    const [folder, ...rest] = path.slice(siteRoot.length).split('/');
+    return rest.length > 0 && /^[a-z]{2}(-[A-Z]{2})?$/.test(folder) ? folder : null;
+  }
+
+  /**
+   * This page in another language: the sibling copy for pages in a language
+   * folder (the default language lives at the root), ?lang= otherwise
+   */
+  getLanguageUrl(lang) {
+    const url = new URL(window.location.href);
+    const pathLang = this.getPathLanguage();
+
+    if (pathLang) {
+      const siteRoot = new URL('.', document.baseURI).pathname;
+      const page = url.pathname.slice(siteRoot.length + pathLang.length + 1);
+      url.pathname = `${siteRoot}${lang === this.defaultLang ? '' : `${lang}/`}${page}`;
+      url.searchParams.delete('lang');
+    } else {
+      url.searchParams.set('lang', lang);
+    }
+
+    return url;
+  }
+
+  getLanguages() {
+    return Object.keys(this.translations);
+  }
+
+  isSupported(lang) {
+    return Boolean(this.translations[lang]);
+  }
+
+  getMeta(lang = this.currentLang) {
+    return this.translations[lang]?.meta || {};
+  }
+
+  // BCP 47 locale for Intl formatting, e.g. "pt-BR"
+  getLocale(lang = this.currentLang) {
+    return this.getMeta(lang).locale || lang;
+  }
+
+  getLanguageName(lang = this.currentLang) {
+    return this.getMeta(lang).name || lang;
+  }
+
+  /**
+   * Languages a key is looked up in, in order: the language itself, the
+   * fallbacks it declares (meta.fallback, e.g. es -> pt), then the default
+   */
+  getFallbackChain(lang = this.currentLang) {
+    const chain = [];
+
+    for (let code = lang; code && !chain.includes(code); code = this.getMeta(code).fallback) {
+      chain.push(code);
+    }
+    if (!chain.includes(this.defaultLang)) chain.push(this.defaultLang);
+
+    return chain;
+  }
+
+  lookup(key, lang) {
+    return key.split('.').reduce(
+      (value, k) => (value && typeof value === 'object' ? value[k] : undefined),
+      this.translations[lang]
+    );
+  }
+
+  resolve(key, lang = this.currentLang) {
+    for (const code of this.getFallbackChain(lang)) {
+      const value = this.lookup(key, code);
+      if (typeof value === 'string' && value) return value;
+    }
+
+    return null;
+  }
+
+  /**
+   * Message for a key, with {placeholders} filled from params
+   * e.g. translate('blog.postCount', { count: 3 }) -> "3 posts"
+   */
+  translate(key, params = null, lang = this.currentLang) {
+    const message = this.resolve(key, lang);
+    if (message === null) return key;
+
+    return params ? this.format(message, params, lang) : message;
+  }
+
+  t(key, params, lang) {
+    return this.translate(key, params, lang);
+  }
+
+  /**
+   * Rich-text message: parameters are escaped and the result keeps only
+   * the tags in allowedTags
+   */
+  translateHtml(key, params = null, lang = this.currentLang) {
+    const message = this.resolve(key, lang);
+    if (message === null) return this.safeHtml.escape(key);
+
+    const html = this.format(message, params || {}, lang, value => this.safeHtml.escape(value));
+    return this.safeHtml.sanitize(html, this.allowedTags);
+  }
+
+  /**
+   * ICU MessageFormat subset:
+   *   {name}                                     plain value (numbers localized)
+   *   {count, number} {when, date, long}         number / date formatting
+   *   {count, plural, =0 {none} one {# post} other {# posts}}
+   *   {role, select, editor {…} other {…}}
+   */
+  format(message, params = {}, lang = this.currentLang, escapeValue = value => value) {
+    let result = '';
+    let index = 0;
+
+    while (index < message.length) {
+      const open = message.indexOf('{', index);
+      const close = open === -1 ? -1 : this.findClosingBrace(message, open);
+      if (close === -1) {
+        result += message.slice(index);
+        break;
       }
+
+      result += message.slice(index, open);
+      result += this.formatArgument(message.slice(open + 1, close), params, lang, escapeValue);
+      index = close + 1;
     }
-    
-    return value || key;
+
+    return result;
+  }
+
+  formatArgument(argument, params, lang, escapeValue) {
+    const match = argument.match(/^\s*([\w.]+)\s*(?:,\s*(\w+)\s*(?:,([\s\S]*))?)?$/);
+    if (!match) return `{${argument}}`;
+
+    const [, name, type, style = ''] = match;
+    const value = params[name];
+    if (value === undefined || value === null) return `{${name}}`;
+
+    switch (type) {
+      case 'plural': {
+        const options = this.parseOptions(style);
+        const number = Number(value);
+        const category = new Intl.PluralRules(this.getLocale(lang)).select(number);
+        const branch = options[`=${number}`] ?? options[category] ?? options.other ?? '';
+        return this.format(branch.replace(/#/g, this.formatNumber(number, {}, lang)), params, lang, escapeValue);
+      }
+      case 'select': {
+        const options = this.parseOptions(style);
+        return this.format(options[String(value)] ?? options.other ?? '', params, lang, escapeValue);
+      }
+      case 'number':
+        return escapeValue(this.formatNumber(value, this.numberStyles[style.trim()] || {}, lang));
+      case 'date':
+        return escapeValue(this.formatDate(value, { dateStyle: style.trim() || 'long' }, lang));
+      default:
+        return escapeValue(typeof value === 'number' ? this.formatNumber(value, {}, lang) : String(value));
+    }
+  }
+
+  // "=0 {none} one {# post} other {# posts}" -> { '=0': 'none', one: '# post', other: '# posts' }
+  parseOptions(style) {
+    const options = {};
+    const selector = /\s*(=?[\w-]+)\s*\{/y;
+    let index = 0;
+
+    while (index < style.length) {
+      selector.lastIndex = index;
+      const match = selector.exec(style);
+      if (!match) break;
+
+      const open = index + match[0].length - 1;
+      const close = this.findClosingBrace(style, open);
+      if (close === -1) break;
+
+      options[match[1]] = style.slice(open + 1, close);
+      index = close + 1;
+    }
+
+    return options;
+  }
+
+  findClosingBrace(text, open) {
+    let depth = 0;
+    for (let i = open; i < text.length; i++) {
+      if (text[i] === '{') depth++;
+      if (text[i] === '}' && --depth === 0) return i;
+    }
+    return -1;
+  }
+
+  formatNumber(value, options = {}, lang = this.currentLang) {
+    return new Intl.NumberFormat(this.getLocale(lang), options).format(value);
   }
 
-  t(key) {
-    return this.translate(key);
+  formatDate(value, options = { dateStyle: 'long' }, lang = this.currentLang) {
+    // Date-only strings parse as UTC midnight; show that day in every time zone
+    const dateOnly = typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+    const formatOptions = dateOnly ? { timeZone: 'UTC', ...options } : options;
+    return new Intl.DateTimeFormat(this.getLocale(lang), formatOptions).format(new Date(value));
+  }
+
+  /**
+   * data-i18n-attr="aria-label:nav.menu; alt:hero.name" -> [['aria-label', 'nav.menu'], ['alt', 'hero.name']]
+   * Event handler attributes are never bound.
+   */
+  parseAttrBindings(value) {
+    return value.split(';')
+      .map(binding => binding.split(':').map(part => part.trim()))
+      .filter(([attribute, key]) => attribute && key && !/^on/i.test(attribute));
+  }
+
+  // Values for placeholders, as JSON: data-i18n-params='{"count": 3}'
+  getParams(element) {
+    const json = element.getAttribute('data-i18n-params');
+    if (!json) return null;
+
+    try {
+      return JSON.parse(json);
+    } catch (error) {
+      console.error('Invalid data-i18n-params:', json);
+      return null;
+    }
   }
 
   applyTranslations() {
+    // Nothing to apply until translations have loaded (init() applies them then)
+    if (!this.translations[this.currentLang]) return;
+
     // Update all elements with data-i18n attribute
     document.querySelectorAll('[data-i18n]').forEach(element => {
       const key = element.getAttribute('data-i18n');
-      const translation = this.translate(key);
-      
+      const translation = this.translate(key, this.getParams(element));
+
       if (element.tagName === 'INPUT' && element.type === 'text') {
         element.placeholder = translation;
       } else {
@@ -67,16 +382,53 @@ class I18n {
       }
     });
 
+    // Opt-in rich text, sanitized
+    document.querySelectorAll('[data-i18n-html]').forEach(element => {
+      const key = element.getAttribute('data-i18n-html');
+      element.innerHTML = this.translateHtml(key, this.getParams(element));
+    });
+
     // Update elements with data-i18n-title attribute
     document.querySelectorAll('[data-i18n-title]').forEach(element => {
       const key = element.getAttribute('data-i18n-title');
       element.title = this.translate(key);
     });
 
+    // Any other attribute: aria-label, alt, meta content...
+    document.querySelectorAll('[data-i18n-attr]').forEach(element => {
+      const params = this.getParams(element);
+      this.parseAttrBindings(element.getAttribute('data-i18n-attr')).forEach(([attribute, key]) => {
+        element.setAttribute(attribute, this.translate(key, params));
+      });
+    });
+
     // Update document language
     document.documentElement.lang = this.currentLang;
   }
 
+  /**
+   * One toggle button per language, shared with scripts/prerender.js
+   */
+  getLangButtonsHtml(lang = this.currentLang) {
+    return this.getLanguages().map(code => {
+      const label = this.getMeta(code).label || code.toUpperCase();
+      const escape = text => this.safeHtml.escape(text);
+      return `<button class="lang-btn${code === lang ? ' active' : ''}" data-lang="${escape(code)}">${escape(label)}</button>`;
+    });
+  }
+
+  // Pages ship with buttons for the languages known when they were written
+  renderLangButtons() {
+    const languages = this.getLanguages().join(',');
+
+    document.querySelectorAll('.lang-toggle').forEach(toggle => {
+      const buttons = [...toggle.querySelectorAll('.lang-btn')].map(btn => btn.getAttribute('data-lang'));
+      if (buttons.join(',') !== languages) {
+        toggle.innerHTML = this.getLangButtonsHtml().join('');
+      }
+    });
+  }
+
   updateLangButtons() {
     document.querySelectorAll('.lang-btn').forEach(btn => {
       const lang = btn.getAttribute('data-lang');
@@ -84,8 +436,14 @@ class I18n {
     });
   }
 
+  /**
+   * Call back on language changes; returns a function that stops it
+   */
   subscribe(callback) {
     this.observers.push(callback);
+    return () => {
+      this.observers = this.observers.filter(observer => observer !== callback);
+    };
   }
 
   notifyObservers() {
@@ -97,17 +455,26 @@ class I18n {
 const i18n = new I18n();
 
 // Initialize on DOM ready
-document.addEventListener('DOMContentLoaded', () => {
-  i18n.init();
-  
-  // Setup language toggle buttons
-  document.querySelectorAll('.lang-btn').forEach(btn => {
-    btn.addEventListener('click', () => {
-      const lang = btn.getAttribute('data-lang');
-      i18n.setLanguage(lang);
+if (typeof document !== 'undefined') {
+  document.addEventListener('DOMContentLoaded', () => {
+    i18n.init();
+
+    // Setup language toggle buttons (they may be rebuilt after load)
+    document.addEventListener('click', (event) => {
+      const btn = event.target.closest('.lang-btn');
+      if (btn) {
+        i18n.switchLanguage(btn.getAttribute('data-lang'));
+      }
     });
   });
-});
+}
 
 // Export for use in other modules
-window.i18n = i18n;
+if (typeof window !== 'undefined') {
+  window.i18n = i18n;
+}
+
+// Build scripts in scripts/ reuse the translator under Node
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { I18n, i18n };
+}
@@ -3,26 +3,59 @@
  * Core functionality for navigation, scroll effects, and common features
  */
 
-document.addEventListener('DOMContentLoaded', () => {
-    initNavigation();
-    initScrollEffects();
-    initMobileMenu();
-    initSmoothScroll();
-});
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', () => {
+        initNavigation();
+        initScrollEffects();
+        initMobileMenu();
+        initSmoothScroll();
+    });
+}
 
 /**
  * Navigation functionality
  */
 function initNavigation() {
-    // Highlight active nav link based on current page
-    const currentPage = window.location.pathname.split('/').pop() || 'index.html';
+    updateActiveNav();
+}
+
+/**
+ * Utility: Highlight the nav link of the current page (again after each
+ * in-place navigation by js/router.js)
+ */
+function updateActiveNav() {
+    const path = window.location.pathname;
+    let currentPage = path.split('/').pop() || 'index.html';
+
+    // Posts and tag/category landing pages belong to the blog
+    if (currentPage === 'blog-post.html' || /\/blog\/./.test(path)) currentPage = 'blog.html';
+
     const navLinks = document.querySelectorAll('.nav-link');
 
     navLinks.forEach(link => {
-        const href = link.getAttribute('href');
-        if (href === currentPage || (currentPage === '' && href === 'index.html')) {
-            link.classList.add('active');
-        }
+        // Prerendered language copies link to e.g. pt/blog.html
+        const href = link.getAttribute('href').split('/').pop();
+        link.classList.toggle('active', href === currentPage);
+    });
+}
+
+/**
+ * Utility: Run a page module's setup on DOMContentLoaded, and again after
+ * each in-place navigation by js/router.js (which may load the module late,
+ * after DOMContentLoaded). setup() may return a function that undoes it
+ * before the router swaps the page out.
+ */
+function onPageLoad(setup) {
+    let cleanup = null;
+    const run = () => {
+        cleanup = setup() || null;
+    };
+
+    document.addEventListener('DOMContentLoaded', run);
+    document.addEventListener('router:load', run);
+    document.addEventListener('router:unload', () => {
+        if (cleanup) cleanup();
+        cleanup = null;
     });
 }
 
@@ -93,26 +126,92 @@ function initMobileMenu() {
 }
 
 /**
- * Smooth scroll for anchor links
+ * Smooth scroll for anchor links. Delegated, so links added later (the post
+ * table of contents, heading anchors, footnotes) scroll the same way.
  */
 function initSmoothScroll() {
-    document.querySelectorAll('a[href^="#"]').forEach(anchor => {
-        anchor.addEventListener('click', function (e) {
-            e.preventDefault();
-            const target = document.querySelector(this.getAttribute('href'));
-            if (target) {
-                const navHeight = document.querySelector('.navbar')?.offsetHeight || 0;
-                const targetPosition = target.getBoundingClientRect().top + window.pageYOffset - navHeight;
-
-                window.scrollTo({
-                    top: targetPosition,
-                    behavior: 'smooth'
-                });
-            }
-        });
+    document.addEventListener('click', (e) => {
+        const anchor = e.target.closest('a[href^="#"]');
+        const target = anchor && getHashTarget(anchor.getAttribute('href'));
+        // Hidden tabs (research.html) open on the hashchange event instead
+        if (!target || target.classList.contains('tab-content')) return;
+
+        e.preventDefault();
+        scrollToTarget(target);
+
+        // Keep the section in the address bar so it can be shared
+        const url = new URL(window.location.href);
+        url.hash = target.id;
+        history.replaceState(history.state, '', url.href);
+    });
+}
+
+/**
+ * Utility: Height of the fixed navbar, which covers the top of the page
+ */
+function getNavOffset() {
+    return document.querySelector('.navbar')?.offsetHeight || 0;
+}
+
+/**
+ * Utility: Element a "#id" link points to, or null
+ */
+function getHashTarget(hash) {
+    if (!hash || hash.length < 2) return null;
+
+    try {
+        return document.getElementById(decodeURIComponent(hash.slice(1)));
+    } catch (error) {
+        return null; // Malformed escape in the hash
+    }
+}
+
+/**
+ * Utility: Scroll an element to just below the navbar
+ */
+function scrollToTarget(target, behavior = getScrollBehavior()) {
+    window.scrollTo({
+        top: target.getBoundingClientRect().top + window.pageYOffset - getNavOffset(),
+        behavior
     });
 }
 
+/**
+ * Utility: Whether to skip animations: the reading preference, else the
+ * OS setting (both reflected on <html data-motion> by the head bootstrap)
+ */
+function prefersReducedMotion() {
+    return document.documentElement.dataset.motion === 'reduce';
+}
+
+/**
+ * Utility: Scroll behavior that respects reduced motion
+ */
+function getScrollBehavior() {
+    return prefersReducedMotion() ? 'auto' : 'smooth';
+}
+
+/**
+ * Utility: Message for a translation key, or the fallback when js/i18n.js
+ * isn't loaded (yet) or has no message for it. lang defaults to the
+ * current language.
+ */
+function translate(key, fallback, params = null, lang) {
+    const value = typeof window !== 'undefined' ? window.i18n?.t(key, params, lang) : null;
+    return value && value !== key ? value : fallback;
+}
+
+/**
+ * Utility: Lowercase and strip diacritics, so searches and slugs match
+ * "análise" and "analise" alike
+ */
+function normalizeText(text) {
+    return (text || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase();
+}
+
 /**
  * Utility: Debounce function
  */
@@ -134,7 +233,11 @@ function debounce(func, wait) {
 function formatDate(dateString, lang = 'en') {
     const date = new Date(dateString);
     const options = { year: 'numeric', month: 'long', day: 'numeric' };
-    return date.toLocaleDateString(lang === 'pt' ? 'pt-BR' : 'en-US', options);
+
+    // Date-only strings parse as UTC midnight; show that day in every time zone
+    if (/^\d{4}-\d{2}-\d{2}$/.test(dateString)) options.timeZone = 'UTC';
+    const locale = typeof window !== 'undefined' && window.i18n ? window.i18n.getLocale(lang) : lang;
+    return date.toLocaleDateString(locale, options);
 }
 
 /**
@@ -145,6 +248,146 @@ function calculateReadingTime(text, wordsPerMinute = 200) {
     return Math.ceil(words / wordsPerMinute);
 }
 
+/**
+ * Utility: Copy text to the clipboard
+ */
+async function copyToClipboard(text) {
+    if (navigator.clipboard?.writeText) {
+        await navigator.clipboard.writeText(text);
+        return;
+    }
+
+    // Fallback for non-secure contexts (e.g. opened from file://)
+    const textarea = document.createElement('textarea');
+    textarea.value = text;
+    textarea.style.position = 'fixed';
+    textarea.style.opacity = '0';
+    document.body.appendChild(textarea);
+    textarea.select();
+    document.execCommand('copy');
+    textarea.remove();
+}
+
+/**
+ * Utility: Short, stable hash of a string (djb2)
+ */
+function hashString(text) {
+    let hash = 5381;
+    for (let i = 0; i < text.length; i++) {
+        hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+    }
+    return (hash >>> 0).toString(36);
+}
+
+/**
+ * Utility: Set a container's markup, unless it already holds the same markup
+ * from scripts/prerender.js (marked with data-prerendered="<hash>"). Leaving
+ * prerendered markup in place avoids a flash and keeps loaded images.
+ */
+function renderHtml(container, html) {
+    const prerendered = container.dataset.prerendered;
+    delete container.dataset.prerendered;
+
+    if (prerendered && prerendered === hashString(html)) return false;
+
+    container.innerHTML = html;
+    return true;
+}
+
+/**
+ * Utility: A localized data field ({ en: ..., pt: ... }) in a language. A
+ * language without a value falls back along js/i18n.js's chain (e.g.
+ * es -> pt -> en). Pass i18n where there is no window (build scripts).
+ */
+function getLocalized(field, lang, i18n = typeof window !== 'undefined' ? window.i18n : null) {
+    if (!field || typeof field !== 'object') return field ?? '';
+
+    const chain = i18n?.getFallbackChain(lang) || [lang, 'en'];
+    const code = chain.find(candidate => field[candidate]);
+    return code ? field[code] : (Object.values(field).find(Boolean) ?? '');
+}
+
+/**
+ * Utility: Path of the blog page in a language, relative to the site root
+ */
+function getBlogUrl(lang = 'en') {
+    return `${lang === 'en' ? '' : `${lang}/`}blog.html`;
+}
+
+/**
+ * Utility: Path of a post's prerendered page, relative to the site root
+ */
+function getPostUrl(postId, lang = 'en') {
+    return `${lang === 'en' ? '' : `${lang}/`}blog/${encodeURIComponent(postId)}.html`;
+}
+
+/**
+ * Utility: A tag's name in a language. Posts are tagged with the English
+ * names; blog-posts.json lists each tag per language in parallel arrays.
+ */
+function getTagName(tags, tag, lang = 'en') {
+    const index = tags?.en ? tags.en.indexOf(tag) : -1;
+    return (index >= 0 && getLocalized(tags, lang)?.[index]) || tag;
+}
+
+/**
+ * Utility: A tag's slug for URLs in a language, e.g. "introducao" for
+ * "introduction" in Portuguese
+ */
+function getTagSlug(tags, tag, lang = 'en') {
+    return normalizeText(getTagName(tags, tag, lang))
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Utility: The English tag for a slug or name in any language, or null
+ */
+function findTag(tags, value) {
+    const languages = Object.keys(tags || {});
+    return (tags?.en || []).find(tag => languages.some(lang =>
+        getTagSlug(tags, tag, lang) === value || getTagName(tags, tag, lang) === value)) || null;
+}
+
+/**
+ * Utility: Path of a tag's prerendered landing page, relative to the site root
+ */
+function getTagUrl(tags, tag, lang = 'en') {
+    return `${lang === 'en' ? '' : `${lang}/`}blog/tag/${getTagSlug(tags, tag, lang)}.html`;
+}
+
+/**
+ * Utility: Path of a category's prerendered landing page, relative to the site root
+ */
+function getCategoryUrl(category, lang = 'en') {
+    return `${lang === 'en' ? '' : `${lang}/`}blog/category/${encodeURIComponent(category)}.html`;
+}
+
+/**
+ * Utility: Visibility of a blog post. "draft" when published is false (or
+ * front matter says draft: true); "scheduled" until publishAt, or else its
+ * date, has passed; "published" after that.
+ */
+function getPostStatus(post, now = new Date()) {
+    if (!post.published) return 'draft';
+    return new Date(post.publishAt || post.date) > now ? 'scheduled' : 'published';
+}
+
+/**
+ * Utility: Whether a post is listed and readable without preview mode
+ */
+function isPostPublished(post, now = new Date()) {
+    return getPostStatus(post, now) === 'published';
+}
+
+/**
+ * Utility: Whether a post has the title and date every listing needs. A
+ * Markdown post whose source failed to load (offline, removed) has neither.
+ */
+function hasPostMetadata(post) {
+    return Boolean(post.title && post.date);
+}
+
 /**
  * Utility: Truncate text
  */
@@ -154,9 +397,40 @@ function truncateText(text, maxLength) {
 }
 
 // Expose utilities globally
-window.utils = {
+const utils = {
+    translate,
+    getLocalized,
+    normalizeText,
     debounce,
     formatDate,
     calculateReadingTime,
-    truncateText
+    copyToClipboard,
+    hashString,
+    renderHtml,
+    getBlogUrl,
+    getPostUrl,
+    getTagName,
+    getTagSlug,
+    findTag,
+    getTagUrl,
+    getCategoryUrl,
+    getPostStatus,
+    isPostPublished,
+    hasPostMetadata,
+    truncateText,
+    prefersReducedMotion,
+    getScrollBehavior,
+    getNavOffset,
+    getHashTarget,
+    scrollToTarget,
+    updateActiveNav,
+    onPageLoad
 };
+
+if (typeof window !== 'undefined') {
+    window.utils = utils;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = utils;
+}
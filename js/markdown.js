@@ -0,0 +1,574 @@
+/**
+ * Markdown Module
+ * Renders Markdown blog posts with YAML front matter
+ */
+
+class MarkdownRenderer {
+    constructor() {
+        this.cache = new Map();
+
+        // Front matter fields that differ per language file vs. shared by all
+        this.localizedFields = ['title', 'excerpt'];
+        this.sharedFields = ['slug', 'date', 'publishAt', 'category', 'tags', 'series', 'image', 'author', 'published'];
+
+        this.blockTags = [
+            'address', 'article', 'aside', 'details', 'div', 'dl', 'figure', 'footer',
+            'header', 'hr', 'iframe', 'nav', 'ol', 'p', 'section', 'table', 'ul', 'video'
+        ];
+
+        // Escaping (js/safe-html.js; required directly by the build scripts).
+        // Raw HTML blocks pass through here and are sanitized where posts are shown.
+        this.safeHtml = (typeof window !== 'undefined' && window.safeHtml) || require('./safe-html.js').safeHtml;
+        this.utils = (typeof window !== 'undefined' && window.utils) || require('./main.js');
+    }
+
+    isMarkdownPath(path) {
+        return /\.md$/i.test(path || '');
+    }
+
+    /**
+     * Read the raw source of a post file (js/data.js, which retries; the
+     * parsed document is cached here). Build scripts replace this to read
+     * from disk instead of over HTTP.
+     */
+    readSource(path) {
+        return window.dataLoader.load(path, { type: 'text', cache: false });
+    }
+
+    /**
+     * Fetch and render a Markdown file, cached per path
+     * Returns { data, body, html, text }
+     */
+    fetchDocument(path) {
+        if (!this.cache.has(path)) {
+            const request = this.readSource(path).then(source => this.parse(source));
+
+            // Don't cache failures, so a later call can retry
+            request.catch(() => this.cache.delete(path));
+            this.cache.set(path, request);
+        }
+        return this.cache.get(path);
+    }
+
+    parse(source) {
+        const { data, body } = this.parseFrontMatter(source);
+        const html = this.render(body);
+        return { data, body, html, text: this.toText(html) };
+    }
+
+    /**
+     * A blog-posts.json entry filled from the front matter of its Markdown
+     * sources, as a new object. Front matter takes precedence over the JSON
+     * entry, and readingTime (per language) is computed from the text rather
+     * than typed by hand. The build (scripts/prerender.js) writes the result
+     * to data/blog-index.json, which is what the pages load.
+     */
+    async hydratePost(entry) {
+        const post = { ...entry };
+        const sources = Object.entries(post.content || {})
+            .filter(([, path]) => this.isMarkdownPath(path));
+        if (sources.length === 0) return post;
+
+        const docs = (await Promise.all(sources.map(([lang, path]) =>
+            this.fetchDocument(path)
+                .then(doc => [lang, doc])
+                .catch(error => {
+                    console.error(`Failed to load post source ${path}:`, error);
+                    return null;
+                })
+        ))).filter(Boolean);
+
+        docs.forEach(([lang, doc]) => {
+            this.localizedFields.forEach(field => {
+                if (doc.data[field] !== undefined && doc.data[field] !== null) {
+                    post[field] = { ...(post[field] || {}), [lang]: String(doc.data[field]) };
+                }
+            });
+        });
+
+        // Shared fields come from the English file first, then any other
+        docs.sort(([a], [b]) => (b === 'en') - (a === 'en'));
+
+        this.sharedFields.forEach(field => {
+            const source = docs.find(([, doc]) => doc.data[field] !== undefined && doc.data[field] !== null);
+            if (source) post[field] = source[1].data[field];
+        });
+
+        const draftSource = docs.find(([, doc]) => doc.data.draft !== undefined);
+        if (draftSource) post.published = !draftSource[1].data.draft;
+
+        if (typeof post.tags === 'string') {
+            post.tags = post.tags.split(',').map(tag => tag.trim()).filter(Boolean);
+        }
+
+        if (docs.length > 0) {
+            post.readingTime = Object.fromEntries(docs.map(([lang, doc]) => [lang, this.utils.calculateReadingTime(doc.text)]));
+        }
+
+        return post;
+    }
+
+    // ---- Front matter ----
+
+    parseFrontMatter(source) {
+        const match = source.match(/^\uFEFF?---[ \t]*\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/);
+        if (!match) return { data: {}, body: source };
+
+        return { data: this.parseYaml(match[1]), body: source.slice(match[0].length) };
+    }
+
+    /**
+     * Minimal YAML subset: nested maps, block and inline lists, quoted and
+     * plain scalars. Enough for post front matter, not a general parser.
+     */
+    parseYaml(text) {
+        const lines = text.split(/\r?\n/)
+            .filter(line => line.trim() && !line.trim().startsWith('#'))
+            .map(line => ({ indent: line.match(/^ */)[0].length, text: line.trim() }));
+        let i = 0;
+
+        const isListItem = line => /^-(\s|$)/.test(line.text);
+
+        const parseNode = () => {
+            const indent = lines[i].indent;
+
+            if (isListItem(lines[i])) {
+                const list = [];
+                while (i < lines.length && lines[i].indent === indent && isListItem(lines[i])) {
+                    list.push(this.parseScalar(lines[i].text.slice(1).trim()));
+                    i++;
+                }
+                return list;
+            }
+
+            const map = {};
+            while (i < lines.length && lines[i].indent === indent) {
+                const match = lines[i].text.match(/^([^:]+?)\s*:(?:\s+(.*))?$/);
+                i++;
+                if (!match) continue;
+
+                const key = match[1].replace(/^["']|["']$/g, '');
+                if (match[2] !== undefined && match[2] !== '') {
+                    map[key] = this.parseScalar(match[2]);
+                } else if (i < lines.length &&
+                    (lines[i].indent > indent || (lines[i].indent === indent && isListItem(lines[i])))) {
+                    map[key] = parseNode();
+                } else {
+                    map[key] = null;
+                }
+            }
+            return map;
+        };
+
+        return lines.length > 0 ? parseNode() : {};
+    }
+
+    parseScalar(value) {
+        value = value.trim();
+
+        if (value.startsWith('[') && value.endsWith(']')) {
+            const items = value.slice(1, -1).match(/\s*("[^"]*"|'[^']*'|[^,]+)/g) || [];
+            return items.map(item => this.parseScalar(item)).filter(item => item !== '');
+        }
+
+        if (/^".*"$/.test(value)) {
+            return value.slice(1, -1).replace(/\\"/g, '"').replace(/\\n/g, '\n');
+        }
+        if (/^'.*'$/.test(value)) {
+            return value.slice(1, -1).replace(/''/g, "'");
+        }
+
+        // Strip trailing comments from plain scalars
+        value = value.replace(/\s+#.*$/, '');
+
+        if (value === 'true') return true;
+        if (value === 'false') return false;
+        if (value === 'null' || value === '~') return null;
+        if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+
+        return value;
+    }
+
+    // ---- Block rendering ----
+
+    render(markdown) {
+        const context = { footnotes: { defs: {}, order: [] }, slugs: {} };
+        const lines = this.extractFootnotes(markdown.replace(/\r\n?/g, '\n').split('\n'), context);
+
+        return this.renderBlocks(lines, context) + this.renderFootnotes(context);
+    }
+
+    /**
+     * Pull "[^id]: text" definitions (and their indented continuation
+     * lines) out of the document so references can precede them
+     */
+    extractFootnotes(lines, context) {
+        const remaining = [];
+        let i = 0;
+
+        while (i < lines.length) {
+            const match = lines[i].match(/^\[\^([^\]]+)\]:\s?(.*)$/);
+            if (!match) {
+                remaining.push(lines[i]);
+                i++;
+                continue;
+            }
+
+            const body = [match[2]];
+            i++;
+            while (i < lines.length && (/^( {2,}|\t)/.test(lines[i]) || (!lines[i].trim() && /^( {2,}|\t)/.test(lines[i + 1] || '')))) {
+                body.push(lines[i].replace(/^( {1,4}|\t)/, ''));
+                i++;
+            }
+            context.footnotes.defs[match[1]] = body;
+        }
+
+        return remaining;
+    }
+
+    renderBlocks(lines, context, tight = false) {
+        const out = [];
+        let i = 0;
+
+        while (i < lines.length) {
+            const line = lines[i];
+
+            if (!line.trim()) {
+                i++;
+                continue;
+            }
+
+            // Fenced code block
+            const fence = line.match(/^\s*(`{3,}|~{3,})\s*([\w+#.-]*)/);
+            if (fence) {
+                const code = [];
+                i++;
+                while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+                    code.push(lines[i]);
+                    i++;
+                }
+                i++;
+
+                const langClass = fence[2] ? ` class="language-${fence[2].toLowerCase()}"` : '';
+                out.push(`<pre><code${langClass}>${this.safeHtml.escape(code.join('\n'))}</code></pre>`);
+                continue;
+            }
+
+            // ATX heading
+            const heading = line.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/);
+            if (heading) {
+                const level = heading[1].length;
+                const id = this.uniqueSlug(heading[2], context);
+                out.push(`<h${level} id="${id}">${this.renderInline(heading[2], context)}</h${level}>`);
+                i++;
+                continue;
+            }
+
+            // Display math, kept verbatim for the math renderer
+            if (/^\s*\$\$/.test(line)) {
+                const math = [line];
+                let closed = /\$\$\s*$/.test(line.trim().slice(2));
+                i++;
+                while (i < lines.length && !closed) {
+                    math.push(lines[i]);
+                    closed = /\$\$\s*$/.test(lines[i]);
+                    i++;
+                }
+                out.push(`<div class="math-block">${this.safeHtml.escape(math.join('\n'))}</div>`);
+                continue;
+            }
+
+            // Horizontal rule
+            if (this.isRule(line)) {
+                out.push('<hr>');
+                i++;
+                continue;
+            }
+
+            // Blockquote
+            if (/^\s*>/.test(line)) {
+                const quoted = [];
+                while (i < lines.length && /^\s*>/.test(lines[i])) {
+                    quoted.push(lines[i].replace(/^\s*> ?/, ''));
+                    i++;
+                }
+                out.push(`<blockquote>\n${this.renderBlocks(quoted, context)}\n</blockquote>`);
+                continue;
+            }
+
+            // Table (header row followed by a delimiter row)
+            if (line.includes('|') && this.isTableDelimiter(lines[i + 1])) {
+                i = this.renderTable(lines, i, context, out);
+                continue;
+            }
+
+            // List
+            if (this.listMarker(line)) {
+                i = this.renderList(lines, i, context, out);
+                continue;
+            }
+
+            // Raw HTML block, passed through until the next blank line
+            if (this.isHtmlBlock(line)) {
+                const html = [];
+                while (i < lines.length && lines[i].trim()) {
+                    html.push(lines[i]);
+                    i++;
+                }
+                out.push(html.join('\n'));
+                continue;
+            }
+
+            // Paragraph
+            const paragraph = [];
+            while (i < lines.length && lines[i].trim() && (paragraph.length === 0 || !this.startsBlock(lines[i]))) {
+                paragraph.push(lines[i]);
+                i++;
+            }
+            const inline = this.renderInline(paragraph.join('\n'), context);
+            out.push(tight ? inline : `<p>${inline}</p>`);
+        }
+
+        return out.join('\n');
+    }
+
+    startsBlock(line) {
+        return /^\s*(`{3,}|~{3,}|\$\$)/.test(line) ||
+            /^#{1,6}\s/.test(line) ||
+            /^\s*>/.test(line) ||
+            this.isRule(line) ||
+            Boolean(this.listMarker(line)) ||
+            this.isHtmlBlock(line);
+    }
+
+    isRule(line) {
+        return /^ {0,3}([-*_])(\s*\1){2,}\s*$/.test(line);
+    }
+
+    isHtmlBlock(line) {
+        if (/^\s*<!--/.test(line)) return true;
+        const match = line.match(/^\s*<\/?([a-zA-Z][\w-]*)[\s>/]/);
+        return Boolean(match && this.blockTags.includes(match[1].toLowerCase()));
+    }
+
+    listMarker(line) {
+        const match = (line || '').match(/^(\s*)([-*+]|\d{1,9}[.)])(\s+)(.*)$/);
+        if (!match) return null;
+
+        return {
+            indent: match[1].length,
+            ordered: /\d/.test(match[2]),
+            start: parseInt(match[2]),
+            contentIndent: match[1].length + match[2].length + match[3].length,
+            content: match[4]
+        };
+    }
+
+    renderList(lines, i, context, out) {
+        const first = this.listMarker(lines[i]);
+        const items = [];
+        let loose = false;
+        let current = null;
+
+        while (i < lines.length) {
+            const line = lines[i];
+            const marker = this.listMarker(line);
+            const indent = line.match(/^\s*/)[0].length;
+
+            if (marker && marker.indent === first.indent && marker.ordered === first.ordered) {
+                current = { lines: [marker.content], contentIndent: marker.contentIndent };
+                items.push(current);
+                i++;
+            } else if (!line.trim()) {
+                // A blank line continues the list only if more of it follows
+                let next = i + 1;
+                while (next < lines.length && !lines[next].trim()) next++;
+                const nextLine = lines[next];
+                const nextMarker = this.listMarker(nextLine);
+                const continues = nextLine !== undefined && (
+                    nextLine.match(/^\s*/)[0].length > first.indent ||
+                    (nextMarker && nextMarker.indent === first.indent && nextMarker.ordered === first.ordered)
+                );
+                if (!continues) break;
+
+                loose = loose || !nextMarker || nextMarker.indent === first.indent;
+                current.lines.push('');
+                i++;
+            } else if (indent > first.indent) {
+                current.lines.push(line);
+                i++;
+            } else if (!this.startsBlock(line) && current.lines[current.lines.length - 1].trim()) {
+                // Lazy continuation of the item's paragraph
+                current.lines.push(line);
+                i++;
+            } else {
+                break;
+            }
+        }
+
+        const tag = first.ordered ? 'ol' : 'ul';
+        const start = first.ordered && first.start !== 1 ? ` start="${first.start}"` : '';
+        const html = items.map(item => {
+            const itemLines = item.lines.map((line, index) => index === 0
+                ? line
+                : line.replace(new RegExp(`^ {0,${item.contentIndent}}`), ''));
+            return `<li>${this.renderBlocks(itemLines, context, !loose)}</li>`;
+        });
+
+        out.push(`<${tag}${start}>\n${html.join('\n')}\n</${tag}>`);
+        return i;
+    }
+
+    isTableDelimiter(line) {
+        return /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/.test(line || '') && (line || '').includes('-');
+    }
+
+    splitRow(line) {
+        return line.trim()
+            .replace(/^\|/, '')
+            .replace(/(?<!\\)\|$/, '')
+            .split(/(?<!\\)\|/)
+            .map(cell => cell.trim().replace(/\\\|/g, '|'));
+    }
+
+    renderTable(lines, i, context, out) {
+        const header = this.splitRow(lines[i]);
+        const aligns = this.splitRow(lines[i + 1]).map(cell => {
+            if (/^:-+:$/.test(cell)) return 'center';
+            if (/^-+:$/.test(cell)) return 'right';
+            if (/^:-+$/.test(cell)) return 'left';
+            return null;
+        });
+        i += 2;
+
+        const cell = (tag, text, index) => {
+            const align = aligns[index] ? ` style="text-align: ${aligns[index]}"` : '';
+            return `<${tag}${align}>${this.renderInline(text || '', context)}</${tag}>`;
+        };
+
+        const rows = [];
+        while (i < lines.length && lines[i].trim() && lines[i].includes('|')) {
+            const cells = this.splitRow(lines[i]);
+            rows.push(`<tr>${header.map((_, index) => cell('td', cells[index], index)).join('')}</tr>`);
+            i++;
+        }
+
+        out.push(
+            '<div class="table-wrapper"><table>\n' +
+            `<thead><tr>${header.map((text, index) => cell('th', text, index)).join('')}</tr></thead>\n` +
+            `<tbody>\n${rows.join('\n')}\n</tbody>\n` +
+            '</table></div>'
+        );
+        return i;
+    }
+
+    renderFootnotes(context) {
+        const { order, defs } = context.footnotes;
+        if (order.length === 0) return '';
+
+        const items = [];
+        // Footnotes may reference other footnotes, so `order` can grow here
+        for (let n = 0; n < order.length; n++) {
+            const id = this.slugify(order[n]);
+            const content = this.renderBlocks(defs[order[n]], context, true);
+            items.push(`<li id="fn-${id}">${content} <a href="#fnref-${id}" class="footnote-backref">↩</a></li>`);
+        }
+
+        return `\n<section class="footnotes">\n<ol>\n${items.join('\n')}\n</ol>\n</section>`;
+    }
+
+    // ---- Inline rendering ----
+
+    renderInline(text, context) {
+        const held = [];
+        // Finished HTML is swapped for placeholders so later rules can't touch it
+        const hold = html => `\u0000${held.push(html) - 1}\u0000`;
+
+        let out = text
+            .replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (match, ticks, code) =>
+                hold(`<code>${this.safeHtml.escape(code.trim())}</code>`))
+            // TeX is left verbatim so _ and * inside it aren't read as emphasis
+            .replace(/\$\$[\s\S]+?\$\$|\\\([\s\S]+?\\\)|\\\[[\s\S]+?\\\]|(?<!\\)\$(?=\S)(?:\\\$|[^$\n])+?(?<=\S)\$(?!\d)/g,
+                match => hold(this.safeHtml.escape(match)))
+            .replace(/\\([\\`*_{}[\]()#+\-.!|~<>$])/g, (match, char) => hold(this.safeHtml.escape(char)))
+            .replace(/<(https?:\/\/[^\s>]+)>/g, (match, url) =>
+                hold(`<a href="${this.safeHtml.escape(url)}">${this.safeHtml.escape(url)}</a>`));
+
+        out = this.safeHtml.escape(out)
+            // Images
+            .replace(/!\[([^\]]*)\]\(\s*([^)\s]+)(?:\s+&quot;(.*?)&quot;)?\s*\)/g, (match, alt, src, title) =>
+                hold(`<img src="${this.safeHtml.isSafeUrl(src) ? src : ''}" alt="${alt}"${title ? ` title="${title}"` : ''} loading="lazy">`))
+            // Footnote references
+            .replace(/\[\^([^\]]+)\]/g, (match, id) => {
+                const ref = this.renderFootnoteRef(id, context);
+                return ref ? hold(ref) : match;
+            })
+            // Links (the label is still processed for emphasis)
+            .replace(/\[([^\]]+)\]\(\s*([^)\s]+)(?:\s+&quot;(.*?)&quot;)?\s*\)/g, (match, label, href, title) =>
+                hold(`<a href="${this.safeHtml.isSafeUrl(href) ? href : '#'}"${title ? ` title="${title}"` : ''}>`) + label + hold('</a>'))
+            .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, '<strong>$2</strong>')
+            .replace(/\*(?=\S)([\s\S]*?\S)\*/g, '<em>$1</em>')
+            .replace(/(^|[^\w])_(?=\S)([\s\S]*?\S)_(?!\w)/g, '$1<em>$2</em>')
+            .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>')
+            .replace(/( {2,}|\\)\n/g, '<br>\n');
+
+        // Restore placeholders (repeated, since held HTML can nest)
+        while (/\u0000\d+\u0000/.test(out)) {
+            out = out.replace(/\u0000(\d+)\u0000/g, (match, index) => held[index]);
+        }
+        return out;
+    }
+
+    renderFootnoteRef(id, context) {
+        const { order, defs } = context.footnotes;
+        if (!(id in defs)) return null;
+
+        if (!order.includes(id)) order.push(id);
+        const slug = this.slugify(id);
+        return `<sup class="footnote-ref"><a href="#fn-${slug}" id="fnref-${slug}">${order.indexOf(id) + 1}</a></sup>`;
+    }
+
+    // ---- Helpers ----
+
+    slugify(text) {
+        return this.utils.normalizeText(String(text))
+            .replace(/<[^>]+>/g, '')
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '') || 'section';
+    }
+
+    uniqueSlug(text, context) {
+        const slug = this.slugify(text);
+        context.slugs[slug] = (context.slugs[slug] || 0) + 1;
+        return context.slugs[slug] > 1 ? `${slug}-${context.slugs[slug] - 1}` : slug;
+    }
+
+    /**
+     * Plain text of rendered HTML, for reading time and search
+     */
+    toText(html) {
+        return html
+            .replace(/<(script|style)[\s\S]*?<\/\1>/gi, ' ')
+            .replace(/<[^>]+>/g, ' ')
+            .replace(/&nbsp;/g, ' ')
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&#39;/g, "'")
+            .replace(/&amp;/g, '&')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+}
+
+// Create and export singleton
+const markdown = new MarkdownRenderer();
+
+if (typeof window !== 'undefined') {
+    window.markdown = markdown;
+}
+
+// Build scripts in scripts/ reuse the renderer under Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MarkdownRenderer, markdown };
+}
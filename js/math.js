@@ -0,0 +1,106 @@
+/**
+ * Math Module
+ * Renders inline ($...$, \(...\)) and display ($$...$$, \[...\]) LaTeX as native MathML
+ * with KaTeX 0.16.22 (vendor/katex, MIT). An expression KaTeX cannot parse is left as
+ * its TeX source, marked .math-error.
+ */
+
+class MathRenderer {
+    constructor() {
+        // Shorthands used in the posts that KaTeX does not define
+        this.macros = {
+            '\\Var': '\\operatorname{Var}',
+            '\\Cov': '\\operatorname{Cov}',
+            '\\Corr': '\\operatorname{Corr}',
+            '\\tr': '\\operatorname{tr}',
+            '\\rank': '\\operatorname{rank}',
+            '\\plim': '\\operatorname*{plim}',
+            '\\argmax': '\\operatorname*{arg\\,max}',
+            '\\argmin': '\\operatorname*{arg\\,min}',
+            '\\independent': '\\mathrel{\\perp\\mkern-10mu\\perp}'
+        };
+
+        this.pattern = /(?<!\\)\$\$([\s\S]+?)\$\$|\\\[([\s\S]+?)\\\]|\\\(([\s\S]+?)\\\)|(?<![\\$])\$(?=\S)((?:\\\$|[^$\n])+?)(?<=\S)\$(?![\d$])/g;
+    }
+
+    /**
+     * Replace TeX delimiters in the text of a container with MathML,
+     * leaving code blocks untouched
+     */
+    renderIn(container) {
+        if (!container) return;
+
+        const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT, {
+            acceptNode: node => node.parentElement.closest('code, pre, script, style, textarea, math, .no-math')
+                ? NodeFilter.FILTER_REJECT
+                : NodeFilter.FILTER_ACCEPT
+        });
+
+        const nodes = [];
+        while (walker.nextNode()) {
+            if (/\$|\\\(|\\\[/.test(walker.currentNode.nodeValue)) {
+                nodes.push(walker.currentNode);
+            }
+        }
+
+        nodes.forEach(node => this.renderTextNode(node));
+    }
+
+    renderTextNode(node) {
+        const text = node.nodeValue;
+        const fragment = document.createDocumentFragment();
+        let cursor = 0;
+        let match;
+
+        this.pattern.lastIndex = 0;
+        while ((match = this.pattern.exec(text)) !== null) {
+            const display = match[1] !== undefined || match[2] !== undefined;
+            const tex = match[1] ?? match[2] ?? match[3] ?? match[4];
+
+            fragment.appendChild(document.createTextNode(text.slice(cursor, match.index)));
+            fragment.appendChild(this.createElement(tex, display));
+            cursor = match.index + match[0].length;
+        }
+
+        if (cursor === 0) return;
+
+        fragment.appendChild(document.createTextNode(text.slice(cursor)));
+        node.replaceWith(fragment);
+    }
+
+    createElement(tex, display) {
+        const element = document.createElement('span');
+        element.className = display ? 'math-display' : 'math-inline';
+
+        try {
+            element.innerHTML = this.toMathML(tex, display);
+        } catch (error) {
+            element.classList.add('math-error');
+            element.textContent = display ? `$$${tex}$$` : `$${tex}$`;
+            element.title = error.message;
+        }
+
+        return element;
+    }
+
+    /**
+     * Convert a TeX string to MathML with KaTeX (vendor/katex).
+     * Throws on malformed input, or when KaTeX did not load.
+     */
+    toMathML(tex, display = false) {
+        if (!window.katex) throw new Error('KaTeX is not loaded');
+
+        return window.katex.renderToString(tex, {
+            displayMode: display,
+            output: 'mathml',
+            throwOnError: true,
+            // A copy, since \gdef in one expression would write to it
+            macros: { ...this.macros }
+        });
+    }
+}
+
+// Create and export singleton
+const mathRenderer = new MathRenderer();
+
+window.mathRenderer = mathRenderer;
@@ -0,0 +1,188 @@
+/**
+ * Offline Module
+ * Registers the service worker (sw.js), shows a prompt when it finds new
+ * posts in data/blog-index.json, and saves blog posts for offline reading
+ * from the "Save for offline" button on the post page. A saved post is one
+ * "saved-post-<id>" cache with its pages in every language, its content
+ * files and images, and the posts index the page is built from.
+ */
+
+class OfflineManager {
+    constructor() {
+        this.supported = 'serviceWorker' in navigator && 'caches' in window;
+        this.savedPrefix = 'saved-post-';
+        this.post = null;
+        this.saved = false;
+        this.busy = false;
+        this.prompt = null;
+    }
+
+    init() {
+        if (!this.supported) return;
+
+        navigator.serviceWorker.register('sw.js').catch(error => {
+            console.error('Failed to register service worker:', error);
+        });
+
+        navigator.serviceWorker.addEventListener('message', (e) => {
+            if (e.data?.type === 'content-updated') this.showUpdatePrompt();
+        });
+
+        // Delegated, and forgotten on leaving the page: js/router.js may
+        // swap in another post
+        document.addEventListener('click', (e) => {
+            if (e.target.closest('#savePost')) this.toggleSaved();
+        });
+        document.addEventListener('router:unload', () => {
+            this.post = null;
+            this.saved = false;
+        });
+
+        if (window.i18n) {
+            window.i18n.subscribe(() => {
+                this.updateSaveButton();
+                this.updatePromptText();
+            });
+        }
+    }
+
+    /**
+     * Called by the post page once a published post is shown
+     */
+    async setPost(post) {
+        this.post = post;
+        if (!this.supported) return;
+
+        this.saved = await caches.has(this.getCacheName(post));
+        this.updateSaveButton();
+    }
+
+    getCacheName(post) {
+        return `${this.savedPrefix}${post.id}`;
+    }
+
+    /**
+     * Same-origin URLs the post needs offline, whichever language it is read in
+     */
+    getPostUrls(post) {
+        const languages = window.i18n?.getLanguages() || Object.keys(post.content);
+
+        const paths = [
+            window.location.href,
+            'data/blog-index.json',
+            ...languages.map(lang => window.utils.getPostUrl(post.id, lang)),
+            ...Object.values(post.content),
+            post.image,
+            ...Array.from(document.querySelectorAll('#postContent img'), img => img.getAttribute('src'))
+        ];
+
+        const urls = paths.filter(Boolean).map(path => {
+            const url = new URL(path, document.baseURI);
+            url.hash = '';
+            return url;
+        });
+        return [...new Set(urls.filter(url => url.origin === window.location.origin).map(url => url.href))];
+    }
+
+    async toggleSaved() {
+        if (!this.post || this.busy) return;
+
+        this.busy = true;
+        this.updateSaveButton();
+
+        const cacheName = this.getCacheName(this.post);
+        try {
+            if (this.saved) {
+                await caches.delete(cacheName);
+                this.saved = false;
+            } else {
+                await this.save(this.post, cacheName);
+                this.saved = true;
+            }
+        } catch (error) {
+            console.error('Failed to save post for offline reading:', error);
+            await caches.delete(cacheName);
+            this.saved = false;
+        }
+
+        this.busy = false;
+        this.updateSaveButton();
+    }
+
+    async save(post, cacheName) {
+        const cache = await caches.open(cacheName);
+
+        // A post may have no page or file in some language; skip those
+        const urls = this.getPostUrls(post);
+        await Promise.all(urls.map(async url => {
+            const response = await fetch(url);
+            if (response.ok) await cache.put(url, response);
+        }));
+    }
+
+    updateSaveButton() {
+        const saveBtn = document.getElementById('savePost');
+        if (!saveBtn) return;
+
+        saveBtn.hidden = !this.supported || !this.post;
+        saveBtn.disabled = this.busy;
+        saveBtn.setAttribute('aria-pressed', this.saved);
+        saveBtn.classList.toggle('active', this.saved);
+        saveBtn.textContent = this.saved
+            ? window.utils.translate('offline.savedPost', 'Saved for offline')
+            : window.utils.translate('offline.savePost', 'Save for offline');
+        saveBtn.title = this.saved
+            ? window.utils.translate('offline.removeSaved', 'Remove the offline copy')
+            : '';
+    }
+
+    showUpdatePrompt() {
+        if (this.prompt) return;
+
+        this.prompt = document.createElement('div');
+        this.prompt.className = 'update-prompt';
+        this.prompt.setAttribute('role', 'status');
+
+        const text = document.createElement('span');
+        text.className = 'update-prompt-text';
+
+        const reloadBtn = document.createElement('button');
+        reloadBtn.type = 'button';
+        reloadBtn.className = 'btn btn-primary btn-sm update-prompt-reload';
+        reloadBtn.addEventListener('click', () => window.location.reload());
+
+        const dismissBtn = document.createElement('button');
+        dismissBtn.type = 'button';
+        dismissBtn.className = 'update-prompt-dismiss';
+        dismissBtn.textContent = '×';
+        dismissBtn.addEventListener('click', () => {
+            this.prompt.remove();
+            this.prompt = null;
+        });
+
+        this.prompt.append(text, reloadBtn, dismissBtn);
+        document.body.appendChild(this.prompt);
+        this.updatePromptText();
+    }
+
+    updatePromptText() {
+        if (!this.prompt) return;
+
+        const dismiss = window.utils.translate('offline.dismiss', 'Dismiss');
+        this.prompt.querySelector('.update-prompt-text').textContent =
+            window.utils.translate('offline.updateAvailable', 'New posts are available.');
+        this.prompt.querySelector('.update-prompt-reload').textContent = window.utils.translate('offline.reload', 'Reload');
+        this.prompt.querySelector('.update-prompt-dismiss').setAttribute('aria-label', dismiss);
+        this.prompt.querySelector('.update-prompt-dismiss').title = dismiss;
+    }
+}
+
+// Create and export singleton
+const offlineManager = new OfflineManager();
+
+// Initialize on DOM ready
+document.addEventListener('DOMContentLoaded', () => {
+    offlineManager.init();
+});
+
+window.offlineManager = offlineManager;
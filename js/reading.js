@@ -0,0 +1,131 @@
+/**
+ * Reading Preferences Module
+ * Reader settings in the theme panel: line spacing, reading font (the site's
+ * own, serif, sans-serif or dyslexia-friendly) and reduced motion. Text size
+ * is the theme's font scale (js/theme.js). Saved in localStorage "reading"
+ * and applied before first paint by the inline bootstrap in each page's <head>.
+ */
+
+class ReadingPreferences {
+    constructor() {
+        // reducedMotion: null follows prefers-reduced-motion
+        this.defaults = { lineSpacing: 1, font: 'default', reducedMotion: null };
+        this.fonts = ['default', 'serif', 'sans', 'dyslexic'];
+
+        // Same bounds as the line spacing slider (100-150%)
+        this.lineSpacingRange = [1, 1.5];
+
+        this.motionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+        this.preferences = this.normalize(this.getStored());
+    }
+
+    init() {
+        this.apply();
+        this.setupEventListeners();
+    }
+
+    getStored() {
+        try {
+            return JSON.parse(localStorage.getItem('reading')) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    normalize(preferences) {
+        const source = { ...this.defaults, ...preferences };
+        const [min, max] = this.lineSpacingRange;
+        const lineSpacing = Number(source.lineSpacing);
+
+        return {
+            lineSpacing: Number.isFinite(lineSpacing)
+                ? Math.round(Math.min(max, Math.max(min, lineSpacing)) * 100) / 100
+                : this.defaults.lineSpacing,
+            font: this.fonts.includes(source.font) ? source.font : this.defaults.font,
+            reducedMotion: typeof source.reducedMotion === 'boolean' ? source.reducedMotion : null
+        };
+    }
+
+    update(changes) {
+        this.preferences = this.normalize({ ...this.preferences, ...changes });
+        localStorage.setItem('reading', JSON.stringify(this.preferences));
+        this.apply();
+    }
+
+    reset() {
+        localStorage.removeItem('reading');
+        this.preferences = { ...this.defaults };
+        this.apply();
+    }
+
+    isReducedMotion() {
+        return this.preferences.reducedMotion ?? this.motionQuery.matches;
+    }
+
+    apply() {
+        const root = document.documentElement;
+        root.style.setProperty('--line-spacing', this.preferences.lineSpacing);
+        root.dataset.font = this.preferences.font;
+        root.dataset.motion = this.isReducedMotion() ? 'reduce' : 'full';
+
+        this.updateControls();
+    }
+
+    updateControls() {
+        const { lineSpacing, font } = this.preferences;
+
+        const slider = document.getElementById('readingLineSpacing');
+        const output = document.getElementById('readingLineSpacingValue');
+        const percent = Math.round(lineSpacing * 100);
+        if (slider) slider.value = percent;
+        if (output) output.textContent = `${percent}%`;
+
+        document.querySelectorAll('#readingFonts .theme-mode').forEach(btn => {
+            const active = btn.getAttribute('data-font') === font;
+            btn.classList.toggle('active', active);
+            btn.setAttribute('aria-pressed', active);
+        });
+
+        const motion = document.getElementById('readingReducedMotion');
+        if (motion) motion.checked = this.isReducedMotion();
+    }
+
+    setupEventListeners() {
+        const slider = document.getElementById('readingLineSpacing');
+        if (slider) {
+            slider.addEventListener('input', (e) => {
+                this.update({ lineSpacing: parseInt(e.target.value) / 100 });
+            });
+        }
+
+        document.querySelectorAll('#readingFonts .theme-mode').forEach(btn => {
+            btn.addEventListener('click', () => this.update({ font: btn.getAttribute('data-font') }));
+        });
+
+        const motion = document.getElementById('readingReducedMotion');
+        if (motion) {
+            motion.addEventListener('change', (e) => this.update({ reducedMotion: e.target.checked }));
+        }
+
+        // Follow the OS setting until the reader picks one
+        this.motionQuery.addEventListener('change', () => {
+            if (this.preferences.reducedMotion === null) this.apply();
+        });
+
+        // The panel's reset button restores the reading defaults too
+        const resetBtn = document.getElementById('themeReset');
+        if (resetBtn) {
+            resetBtn.addEventListener('click', () => this.reset());
+        }
+    }
+}
+
+// Create and export singleton
+const readingPreferences = new ReadingPreferences();
+
+// Initialize on DOM ready
+document.addEventListener('DOMContentLoaded', () => {
+    readingPreferences.init();
+});
+
+window.readingPreferences = readingPreferences;
@@ -1,6 +1,9 @@
 /**
  * Research Module
- * Handles research items display with tabs and abstracts
+ * Handles research items display with tabs and abstracts, and searching,
+ * filtering (JEL code, coauthor) and sorting them. The active tab and the
+ * filters live in the URL, e.g.
+ * research.html?q=wage&jel=J31&coauthor=Gabriella+Nunes&sort=newest#working-papers
  */
 
 class ResearchManager {
@@ -10,33 +13,297 @@ class ResearchManager {
             working_papers: [],
             works_in_progress: []
         };
+
+        // research.json section for each status type
+        this.sections = {
+            published: 'publications',
+            working: 'working_papers',
+            progress: 'works_in_progress'
+        };
+
+        // Tab (and URL hash) for each research.json section
+        this.tabs = {
+            publications: 'publications',
+            working_papers: 'working-papers',
+            works_in_progress: 'works-in-progress'
+        };
+        this.activeTab = 'publications';
+
+        this.filters = { query: '', jel: '', coauthor: '', sort: 'default' };
+        this.sortOrders = ['default', 'newest', 'oldest', 'status'];
+
+        // Publication stages, furthest along first, for the "status" sort.
+        // An item's free-text status may name one ("Working Paper"); otherwise
+        // its section decides.
+        this.stages = ['published', 'working', 'progress'];
+        this.stageNames = { 'published': 'published', 'working paper': 'working', 'in progress': 'progress' };
+
+        // Undone when js/router.js leaves the page
+        this.cleanup = [];
+        this.destroyed = false;
+        this.listening = false;
     }
 
     async init() {
+        const containers = this.getListContainers();
+        containers.forEach(container => window.dataLoader.showSkeleton(container, 2));
+
         try {
-            const response = await fetch('data/research.json');
-            this.data = await response.json();
+            this.data = await window.dataLoader.load('data/research.json', {
+                validate: data => (Object.values(this.sections).every(section => Array.isArray(data?.[section]))
+                    ? null
+                    : 'missing a section')
+            });
+            if (this.destroyed) return;
+            containers.forEach(container => window.dataLoader.showLoaded(container));
 
+            this.restoreState(this.getStateFromUrl());
             this.render();
-            this.setupTabs();
-
-            // Re-render when language changes
-            if (window.i18n) {
-                window.i18n.subscribe(() => this.render());
-            }
+            this.setupEventListeners();
         } catch (error) {
             console.error('Failed to load research data:', error);
+            if (this.destroyed) return;
+            containers.forEach(container => window.dataLoader.showError(container, () => this.init()));
         }
     }
 
+    destroy() {
+        this.destroyed = true;
+        this.listening = false;
+        this.cleanup.forEach(undo => undo());
+        this.cleanup = [];
+    }
+
+    listen(target, type, handler) {
+        target.addEventListener(type, handler);
+        this.cleanup.push(() => target.removeEventListener(type, handler));
+    }
+
+    getListContainers() {
+        return ['publicationsList', 'workingPapersList', 'worksInProgressList']
+            .map(id => document.getElementById(id))
+            .filter(Boolean);
+    }
+
     getCurrentLang() {
         return window.i18n?.getLanguage() || 'en';
     }
 
     render() {
+        this.renderFilters();
+        this.renderResults();
+        this.renderExports();
+        this.renderJsonLd();
+    }
+
+    /**
+     * The lists and tab counts for the current filters
+     */
+    renderResults() {
         this.renderList('publicationsList', this.data.publications, 'published');
         this.renderList('workingPapersList', this.data.working_papers, 'working');
         this.renderList('worksInProgressList', this.data.works_in_progress, 'progress');
+        this.renderTabCounts();
+    }
+
+    /**
+     * Read the filters from the query string and the tab from the hash
+     */
+    getStateFromUrl() {
+        const params = new URLSearchParams(window.location.search);
+        const sort = params.get('sort');
+
+        return {
+            query: params.get('q') || '',
+            jel: (params.get('jel') || '').toUpperCase(),
+            coauthor: params.get('coauthor') || '',
+            sort: this.sortOrders.includes(sort) ? sort : 'default',
+            tab: this.getTabFromHash(window.location.hash) || 'publications'
+        };
+    }
+
+    getTabFromHash(hash) {
+        const tab = (hash || '').replace(/^#/, '');
+        return Object.values(this.tabs).includes(tab) ? tab : null;
+    }
+
+    restoreState(state) {
+        // Codes and names that no item has would only empty every list
+        this.filters = {
+            query: state.query,
+            jel: this.getUsedJelCodes().includes(state.jel) ? state.jel : '',
+            coauthor: this.getCoauthors().includes(state.coauthor) ? state.coauthor : '',
+            sort: state.sort
+        };
+
+        const searchInput = document.getElementById('researchSearch');
+        if (searchInput) searchInput.value = state.query;
+
+        this.activateTab(state.tab);
+    }
+
+    /**
+     * Write the filters and tab to the URL. Replaces the current entry, and
+     * keeps its state for js/router.js; other parameters (lang) stay.
+     */
+    updateUrl() {
+        const params = new URLSearchParams(window.location.search);
+        const values = {
+            q: this.filters.query.trim(),
+            jel: this.filters.jel,
+            coauthor: this.filters.coauthor,
+            sort: this.filters.sort === 'default' ? '' : this.filters.sort
+        };
+        Object.entries(values).forEach(([name, value]) => {
+            if (value) {
+                params.set(name, value);
+            } else {
+                params.delete(name);
+            }
+        });
+
+        const search = params.toString();
+        const hash = this.activeTab === 'publications' ? '' : `#${this.activeTab}`;
+        const url = `${window.location.pathname}${search ? `?${search}` : ''}${hash}`;
+        if (url === `${window.location.pathname}${window.location.search}${window.location.hash}`) return;
+
+        history.replaceState(history.state, '', url);
+    }
+
+    getAllItems() {
+        return Object.values(this.sections).flatMap(section => this.data[section] || []);
+    }
+
+    getUsedJelCodes() {
+        return [...new Set(this.getAllItems().flatMap(item => item.jel || []))].sort();
+    }
+
+    getCoauthors() {
+        return [...new Set(this.getAllItems().flatMap(item => item.coauthors || []))]
+            .sort((a, b) => a.localeCompare(b));
+    }
+
+    /**
+     * A section's items that match the search and filters, in the chosen order
+     */
+    getVisibleItems(items, lang) {
+        const terms = window.utils.normalizeText(this.filters.query).split(/\s+/).filter(Boolean);
+
+        const visible = (items || []).filter(item => {
+            if (this.filters.jel && !(item.jel || []).includes(this.filters.jel)) return false;
+            if (this.filters.coauthor && !(item.coauthors || []).includes(this.filters.coauthor)) return false;
+            if (terms.length === 0) return true;
+
+            const text = window.utils.normalizeText([
+                window.utils.getLocalized(item.title, lang),
+                window.utils.getLocalized(item.abstract, lang),
+                ...(item.coauthors || [])
+            ].join(' '));
+            return terms.every(term => text.includes(term));
+        });
+
+        return this.sortItems(visible);
+    }
+
+    getStage(item) {
+        const named = this.stageNames[window.utils.normalizeText(item.status).trim()];
+        if (named) return named;
+
+        return Object.keys(this.sections).find(stage => (this.data[this.sections[stage]] || []).includes(item))
+            || 'progress';
+    }
+
+    /**
+     * "newest"/"oldest" by date (or year), undated items last; "status" by
+     * publication stage (published, working paper, in progress), newest first
+     * within one. "default" keeps research.json's order.
+     */
+    sortItems(items) {
+        const sortDate = item => item.date || (item.year ? String(item.year) : '');
+        const byDate = (a, b, direction) => {
+            const dateA = sortDate(a);
+            const dateB = sortDate(b);
+            if (!dateA || !dateB) return (dateA ? 0 : 1) - (dateB ? 0 : 1);
+            return direction * dateA.localeCompare(dateB);
+        };
+
+        const sorted = [...items];
+        switch (this.filters.sort) {
+            case 'newest':
+                return sorted.sort((a, b) => byDate(a, b, -1));
+            case 'oldest':
+                return sorted.sort((a, b) => byDate(a, b, 1));
+            case 'status':
+                return sorted.sort((a, b) => this.stages.indexOf(this.getStage(a)) - this.stages.indexOf(this.getStage(b))
+                    || byDate(a, b, -1));
+            default:
+                return sorted;
+        }
+    }
+
+    hasFilters() {
+        return Boolean(this.filters.query.trim() || this.filters.jel || this.filters.coauthor);
+    }
+
+    /**
+     * Options of the topic and coauthor filters, shared with
+     * scripts/prerender.js
+     */
+    getTopicOptionsHtml(lang) {
+        const escape = text => window.safeHtml.escape(text);
+        const names = this.data.jel || {};
+
+        return `<option value="">${escape(window.utils.translate('research.allTopics', 'All topics'))}</option>${this.getUsedJelCodes().map(code => {
+            const name = window.utils.getLocalized(names[code], lang);
+            return `<option value="${escape(code)}">${escape(name ? `${code} · ${name}` : code)}</option>`;
+        }).join('')}`;
+    }
+
+    getCoauthorOptionsHtml() {
+        const escape = text => window.safeHtml.escape(text);
+
+        return `<option value="">${escape(window.utils.translate('research.allCoauthors', 'All coauthors'))}</option>${this.getCoauthors().map(name => `<option value="${escape(name)}">${escape(name)}</option>`).join('')}`;
+    }
+
+    renderFilters() {
+        const lang = this.getCurrentLang();
+        const selects = {
+            researchTopic: [this.getTopicOptionsHtml(lang), this.getUsedJelCodes().length, this.filters.jel],
+            researchCoauthor: [this.getCoauthorOptionsHtml(), this.getCoauthors().length, this.filters.coauthor]
+        };
+
+        Object.entries(selects).forEach(([id, [html, count, value]]) => {
+            const select = document.getElementById(id);
+            if (!select) return;
+
+            window.utils.renderHtml(select, html);
+            select.hidden = count === 0;
+            select.value = value;
+        });
+
+        const sortSelect = document.getElementById('researchSort');
+        if (sortSelect) sortSelect.value = this.filters.sort;
+    }
+
+    /**
+     * Number of matching items on each tab button
+     */
+    renderTabCounts() {
+        const lang = this.getCurrentLang();
+
+        document.querySelectorAll('[data-tab-count]').forEach(count => {
+            count.textContent = this.getVisibleItems(this.data[count.dataset.tabCount], lang).length;
+        });
+    }
+
+    /**
+     * ScholarlyArticle metadata for crawlers, in the current language
+     */
+    renderJsonLd() {
+        if (!window.seo) return;
+
+        const jsonLd = window.seo.getResearchJsonLd(this.data, this.getCurrentLang(), window.seo.getSiteUrl());
+        window.seo.applyJsonLd('researchJsonLd', jsonLd);
     }
 
     renderList(containerId, items, statusType) {
@@ -44,82 +311,270 @@ class ResearchManager {
         if (!container) return;
 
         const lang = this.getCurrentLang();
+        const visible = this.getVisibleItems(items, lang);
+
+        if (items?.length > 0 && visible.length === 0) {
+            window.utils.renderHtml(container, this.getNoMatchesHtml());
+            container.querySelector('.research-clear-filters').addEventListener('click', () => this.clearFilters());
+            return;
+        }
+
+        window.utils.renderHtml(container, this.getListHtml(visible, statusType, lang));
+
+        if (visible.length > 0) {
+            this.setupImageFallbacks(container);
+            this.setupAbstractToggles(container);
+            this.setupCitations(container, visible, this.sections[statusType]);
+        }
+    }
+
+    getNoMatchesHtml() {
+        const escape = text => window.safeHtml.escape(text);
 
+        return `
+        <div class="empty-state">
+          <h3>${escape(window.utils.translate('research.noMatches', 'No research matches these filters'))}</h3>
+          <button type="button" class="btn btn-secondary btn-sm research-clear-filters">
+            ${escape(window.utils.translate('research.clearFilters', 'Clear filters'))}
+          </button>
+        </div>
+      `;
+    }
+
+    /**
+     * Markup for one tab's list, shared with scripts/prerender.js. Data goes
+     * through js/safe-html.js.
+     */
+    getListHtml(items, statusType, lang) {
         if (!items || items.length === 0) {
             const emptyMessages = {
-                'published': lang === 'pt' ? 'Nenhuma publicação ainda' : 'No publications yet',
-                'working': lang === 'pt' ? 'Nenhum working paper ainda' : 'No working papers yet',
-                'progress': lang === 'pt' ? 'Nenhum trabalho em andamento' : 'No works in progress'
+                'published': window.utils.translate('research.noPublications', 'No publications yet'),
+                'working': window.utils.translate('research.noWorkingPapers', 'No working papers yet'),
+                'progress': window.utils.translate('research.noWorksInProgress', 'No works in progress')
             };
 
-            container.innerHTML = `
+            return `
         <div class="empty-state">
           <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke="currentColor">
             <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
           </svg>
-          <h3>${emptyMessages[statusType]}</h3>
+          <h3>${window.safeHtml.escape(emptyMessages[statusType])}</h3>
         </div>
       `;
-            return;
         }
 
-        container.innerHTML = items.map(item => this.createResearchCard(item, statusType, lang)).join('');
-        this.setupAbstractToggles(container);
+        return items.map(item => this.createResearchCard(item, statusType, lang)).join('');
     }
 
     createResearchCard(item, statusType, lang) {
-        const title = item.title[lang] || item.title.en;
-        const abstract = item.abstract[lang] || item.abstract.en;
+        const escape = text => window.safeHtml.escape(text);
+        const title = window.utils.getLocalized(item.title, lang);
+        const abstract = window.utils.getLocalized(item.abstract, lang);
         const coauthors = item.coauthors?.length > 0
-            ? (lang === 'pt' ? 'com ' : 'with ') + item.coauthors.join(', ')
+            ? `${window.utils.translate('research.with', 'with')} ${item.coauthors.join(', ')}`
             : '';
 
         const statusLabels = {
-            'published': { en: 'Published', pt: 'Publicado' },
-            'working': { en: 'Working Paper', pt: 'Working Paper' },
-            'progress': { en: 'In Progress', pt: 'Em Andamento' }
+            'published': window.utils.translate('research.statusPublished', 'Published'),
+            'working': window.utils.translate('research.statusWorking', 'Working Paper'),
+            'progress': window.utils.translate('research.statusProgress', 'In Progress')
         };
 
-        const statusLabel = statusLabels[statusType][lang];
-        const abstractLabel = lang === 'pt' ? 'Resumo' : 'Abstract';
-        const readMoreLabel = lang === 'pt' ? 'Ler Mais' : 'Read More';
-        const showLessLabel = lang === 'pt' ? 'Mostrar Menos' : 'Show Less';
+        const statusLabel = statusLabels[statusType];
+        const abstractLabel = window.utils.translate('research.abstract', 'Abstract');
+        const readMoreLabel = window.utils.translate('research.readMore', 'Read More');
+        const showLessLabel = window.utils.translate('research.showLess', 'Show Less');
 
         return `
-      <article class="card research-card">
+      <article class="card research-card" data-id="${escape(item.id)}">
         <div class="research-card-image-wrapper">
           ${item.image
-                ? `<img src="${item.image}" alt="${title}" class="research-card-image" onerror="this.style.display='none'; this.parentElement.innerHTML='<div class=\\'research-card-image\\' style=\\'display:flex;align-items:center;justify-content:center;font-size:48px;background:var(--bg-tertiary);\\'>📄</div>'">`
-                : `<div class="research-card-image" style="display:flex;align-items:center;justify-content:center;font-size:48px;background:var(--bg-tertiary);">📄</div>`
+                ? `<img src="${window.safeHtml.url(item.image, '')}" alt="${escape(title)}" class="research-card-image">`
+                : this.getImagePlaceholderHtml()
             }
         </div>
         <div class="research-card-content">
-          <span class="research-status ${statusType}">${statusLabel}</span>
-          <h3 class="research-card-title">${title}</h3>
-          ${coauthors ? `<p class="research-card-authors">${coauthors}</p>` : ''}
+          <span class="research-status ${statusType}">${escape(statusLabel)}</span>
+          <h3 class="research-card-title">${escape(title)}</h3>
+          ${coauthors ? `<p class="research-card-authors">${escape(coauthors)}</p>` : ''}
           
           <div class="research-abstract-container">
-            <h4 style="font-size: var(--text-sm); font-weight: 600; margin-bottom: var(--space-2); color: var(--text-secondary);">${abstractLabel}</h4>
-            <p class="research-card-abstract" data-full-text="${abstract.replace(/"/g, '&quot;')}">${abstract}</p>
-            <button class="btn btn-ghost btn-sm abstract-toggle" data-read-more="${readMoreLabel}" data-show-less="${showLessLabel}">
-              ${readMoreLabel}
+            <h4 style="font-size: var(--text-sm); font-weight: 600; margin-bottom: var(--space-2); color: var(--text-secondary);">${escape(abstractLabel)}</h4>
+            <p class="research-card-abstract" data-full-text="${escape(abstract)}">${escape(abstract)}</p>
+            <button class="btn btn-ghost btn-sm abstract-toggle" data-read-more="${escape(readMoreLabel)}" data-show-less="${escape(showLessLabel)}">
+              ${escape(readMoreLabel)}
             </button>
           </div>
           
-          ${item.links && item.links.length > 0 ? `
-            <div class="research-card-links">
-              ${item.links.map(link => `
-                <a href="${link.url}" class="btn btn-sm ${link.type === 'pdf' ? 'btn-primary' : 'btn-secondary'}" target="_blank" rel="noopener noreferrer">
-                  ${link.type === 'pdf' ? 'PDF' : link.label}
-                </a>
-              `).join('')}
-            </div>
-          ` : ''}
+          <div class="research-card-links">
+            ${(item.links || []).map(link => `
+              <a href="${window.safeHtml.url(link.url)}" class="btn btn-sm ${link.type === 'pdf' ? 'btn-primary' : 'btn-secondary'}" target="_blank" rel="noopener noreferrer">
+                ${link.type === 'pdf' ? 'PDF' : escape(link.label)}
+              </a>
+            `).join('')}
+            <button type="button" class="btn btn-sm btn-ghost cite-toggle" aria-expanded="false">
+              ${escape(window.utils.translate('research.cite', 'Cite'))}
+            </button>
+          </div>
+          ${this.createCitePanel()}
         </div>
       </article>
     `;
     }
 
+    getImagePlaceholderHtml() {
+        return '<div class="research-card-image" style="display:flex;align-items:center;justify-content:center;font-size:48px;background:var(--bg-tertiary);">📄</div>';
+    }
+
+    /**
+     * Replace card images that fail to load (or already failed before this
+     * ran, on prerendered pages) with the placeholder
+     */
+    setupImageFallbacks(container) {
+        container.querySelectorAll('img.research-card-image').forEach(img => {
+            const showPlaceholder = () => {
+                img.outerHTML = this.getImagePlaceholderHtml();
+            };
+
+            if (img.complete && img.naturalWidth === 0) {
+                showPlaceholder();
+            } else {
+                img.addEventListener('error', showPlaceholder, { once: true });
+            }
+        });
+    }
+
+    createCitePanel() {
+        const escape = text => window.safeHtml.escape(text);
+        const formats = window.citationBuilder?.formats || {};
+
+        return `
+          <div class="cite-panel" hidden>
+            <div class="cite-formats">
+              ${Object.entries(formats).map(([format, { label }], index) => `
+                <button type="button" class="cite-format${index === 0 ? ' active' : ''}" data-format="${format}">${escape(label)}</button>
+              `).join('')}
+            </div>
+            <pre class="cite-output"></pre>
+            <div class="cite-actions">
+              <button type="button" class="btn btn-secondary btn-sm" data-cite-action="copy">${escape(window.utils.translate('research.copyCitation', 'Copy'))}</button>
+              <button type="button" class="btn btn-secondary btn-sm" data-cite-action="download">${escape(window.utils.translate('research.downloadCitation', 'Download'))}</button>
+            </div>
+          </div>
+        `;
+    }
+
+    setupCitations(container, items, section) {
+        if (!window.citationBuilder) return;
+
+        container.querySelectorAll('.research-card').forEach(card => {
+            const item = items.find(entry => entry.id === card.dataset.id);
+            const toggle = card.querySelector('.cite-toggle');
+            const panel = card.querySelector('.cite-panel');
+            const output = panel.querySelector('.cite-output');
+            let format = panel.querySelector('.cite-format.active').dataset.format;
+
+            const update = () => {
+                output.textContent = window.citationBuilder.format(format, item, section, this.getCurrentLang());
+            };
+
+            toggle.addEventListener('click', () => {
+                panel.hidden = !panel.hidden;
+                toggle.setAttribute('aria-expanded', String(!panel.hidden));
+                if (!panel.hidden) update();
+            });
+
+            panel.querySelectorAll('.cite-format').forEach(btn => {
+                btn.addEventListener('click', () => {
+                    panel.querySelectorAll('.cite-format').forEach(b => b.classList.remove('active'));
+                    btn.classList.add('active');
+                    format = btn.dataset.format;
+                    update();
+                });
+            });
+
+            panel.querySelector('[data-cite-action="copy"]').addEventListener('click', async (event) => {
+                const btn = event.currentTarget;
+                try {
+                    await window.utils.copyToClipboard(output.textContent);
+                    btn.textContent = window.utils.translate('research.citationCopied', 'Copied!');
+                } catch (error) {
+                    console.error('Failed to copy citation:', error);
+                }
+                setTimeout(() => {
+                    btn.textContent = window.utils.translate('research.copyCitation', 'Copy');
+                }, 2000);
+            });
+
+            panel.querySelector('[data-cite-action="download"]').addEventListener('click', () => {
+                window.citationBuilder.download(output.textContent, item.id, format);
+            });
+        });
+    }
+
+    /**
+     * "Download all" bar above each tab's list, one file per format
+     */
+    renderExports() {
+        if (!window.citationBuilder) return;
+
+        document.querySelectorAll('.research-export').forEach(bar => {
+            bar.hidden = (this.data[bar.dataset.section] || []).length === 0;
+            window.utils.renderHtml(bar, this.getExportHtml());
+        });
+    }
+
+    getExportHtml() {
+        return `
+        <span class="research-export-label">${window.safeHtml.escape(window.utils.translate('research.exportAll', 'Download all citations'))}</span>
+        ${['bibtex', 'ris', 'csl'].map(format => `
+          <button type="button" class="btn btn-ghost btn-sm" data-format="${format}">${window.safeHtml.escape(window.citationBuilder.formats[format].label)}</button>
+        `).join('')}
+      `;
+    }
+
+    /**
+     * Bound once, however often init() runs (again after a failed load),
+     * and removed by destroy()
+     */
+    setupEventListeners() {
+        if (this.listening) return;
+        this.listening = true;
+
+        this.setupTabs();
+        this.setupFilters();
+        this.setupExports();
+
+        // In-page links to another tab, e.g. <a href="#working-papers">
+        // (js/main.js leaves those to the browser), and back/forward
+        this.listen(window, 'hashchange', () => {
+            const tab = this.getTabFromHash(window.location.hash);
+            if (!tab) return;
+
+            this.activateTab(tab);
+            window.utils.scrollToTarget(document.getElementById(tab));
+        });
+
+        // Re-render when language changes
+        if (window.i18n) {
+            this.cleanup.push(window.i18n.subscribe(() => this.render()));
+        }
+    }
+
+    setupExports() {
+        document.querySelectorAll('.research-export').forEach(bar => {
+            this.listen(bar, 'click', (event) => {
+                const btn = event.target.closest('[data-format]');
+                if (!btn) return;
+
+                const section = bar.dataset.section;
+                const format = btn.dataset.format;
+                const content = window.citationBuilder.formatAll(format, this.data[section], section, this.getCurrentLang());
+                window.citationBuilder.download(content, section.replace(/_/g, '-'), format);
+            });
+        });
+    }
+
     setupAbstractToggles(container) {
         container.querySelectorAll('.abstract-toggle').forEach(btn => {
             btn.addEventListener('click', () => {
@@ -133,34 +588,81 @@ class ResearchManager {
     }
 
     setupTabs() {
-        const tabs = document.querySelectorAll('.tab');
-        const tabContents = document.querySelectorAll('.tab-content');
-
-        tabs.forEach(tab => {
-            tab.addEventListener('click', () => {
-                const targetId = tab.dataset.tab;
-
-                // Update active tab
-                tabs.forEach(t => t.classList.remove('active'));
-                tab.classList.add('active');
-
-                // Update active content
-                tabContents.forEach(content => {
-                    content.classList.remove('active');
-                    if (content.id === targetId) {
-                        content.classList.add('active');
-                    }
-                });
+        document.querySelectorAll('.tab').forEach(tab => {
+            this.listen(tab, 'click', () => {
+                this.activateTab(tab.dataset.tab);
+                this.updateUrl();
+            });
+        });
+    }
+
+    activateTab(targetId) {
+        this.activeTab = targetId;
+
+        // Update active tab
+        document.querySelectorAll('.tab').forEach(tab => {
+            const active = tab.dataset.tab === targetId;
+            tab.classList.toggle('active', active);
+            tab.setAttribute('aria-selected', String(active));
+        });
+
+        // Update active content
+        document.querySelectorAll('.tab-content').forEach(content => {
+            content.classList.toggle('active', content.id === targetId);
+        });
+    }
+
+    setupFilters() {
+        const update = () => {
+            this.renderResults();
+            this.updateUrl();
+        };
+
+        const searchInput = document.getElementById('researchSearch');
+        if (searchInput) {
+            this.listen(searchInput, 'input', window.utils.debounce((e) => {
+                this.filters.query = e.target.value;
+                update();
+            }, 300));
+        }
+
+        const selects = { researchTopic: 'jel', researchCoauthor: 'coauthor', researchSort: 'sort' };
+        Object.entries(selects).forEach(([id, filter]) => {
+            const select = document.getElementById(id);
+            if (!select) return;
+
+            this.listen(select, 'change', () => {
+                this.filters[filter] = select.value;
+                update();
             });
         });
     }
+
+    clearFilters() {
+        this.filters = { ...this.filters, query: '', jel: '', coauthor: '' };
+
+        const searchInput = document.getElementById('researchSearch');
+        if (searchInput) searchInput.value = '';
+
+        this.renderFilters();
+        this.renderResults();
+        this.updateUrl();
+    }
 }
 
-// Initialize on DOM ready
-document.addEventListener('DOMContentLoaded', () => {
-    if (document.getElementById('publicationsList')) {
+// Initialize on page load if on research page
+if (typeof document !== 'undefined') {
+    window.utils.onPageLoad(() => {
+        if (!document.getElementById('publicationsList')) return null;
+
         const researchManager = new ResearchManager();
         researchManager.init();
         window.researchManager = researchManager;
-    }
-});
+        return () => researchManager.destroy();
+    });
+}
+
+// scripts/prerender.js renders the same cards at build time
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ResearchManager };
+}
@@ -0,0 +1,284 @@
+/**
+ * Router Module
+ * Optional in-place navigation between the site's pages, switched on by
+ * "router": true under "site" in data/config.json. A click on a link to
+ * another page fetches it and swaps what lies between the navbar and the
+ * footer, so the navbar, theme panel, translations and config stay loaded.
+ * Every URL is still a real static page, so deep links, reloads and
+ * GitHub Pages work as before; back/forward swap pages the same way.
+ *
+ * Page modules set themselves up through utils.onPageLoad(), which runs
+ * again on "router:load" and undoes the setup on "router:unload".
+ */
+
+class Router {
+    constructor() {
+        this.enabled = false;
+        this.navigating = null;
+        this.siteRoot = null;
+        this.pageKey = null;
+
+        // Head elements that belong to the page rather than the site
+        this.pageHeadSelector = [
+            'meta[name="description"]',
+            'meta[name="keywords"]',
+            'meta[name="robots"]',
+            'meta[name^="twitter:"]',
+            'meta[name^="citation_"]',
+            'meta[property]',
+            'link[rel="canonical"]',
+            'link[rel="alternate"][hreflang]',
+            'script[type="application/ld+json"]'
+        ].join(', ');
+    }
+
+    async init() {
+        let config;
+        try {
+            config = await window.configManager.load();
+        } catch (error) {
+            return; // Reported by ConfigManager; links load pages as usual
+        }
+        if (!config?.site?.router || !window.history?.pushState) return;
+
+        this.enabled = true;
+
+        // Every page's <base> points at the site root
+        this.siteRoot = new URL('.', document.baseURI).href;
+        this.pageKey = this.getPageKey(window.location.href);
+        history.replaceState({ ...history.state, page: this.pageKey }, '', window.location.href);
+        if ('scrollRestoration' in history) history.scrollRestoration = 'manual';
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * A page is its path and query; the hash only scrolls within it
+     */
+    getPageKey(href) {
+        const url = new URL(href);
+        return `${url.pathname}${url.search}`;
+    }
+
+    /**
+     * Whether a link should be swapped in rather than loaded by the browser
+     */
+    isRoutable(link, event = null) {
+        if (!link || link.hasAttribute('download') || link.dataset.router === 'off') return false;
+        if (link.target && link.target !== '_self') return false;
+        if (event && (event.button !== 0 || event.metaKey || event.ctrlKey || event.shiftKey || event.altKey)) {
+            return false;
+        }
+
+        const url = new URL(link.href, document.baseURI);
+        if (!url.href.startsWith(this.siteRoot) || !/(\.html|\/)$/.test(url.pathname)) return false;
+
+        // Same page with a hash: js/main.js scrolls to it
+        return !(url.hash && this.getPageKey(url.href) === this.pageKey);
+    }
+
+    setupEventListeners() {
+        // On window, so page modules that handle their own links on document
+        // (blog filters) have called preventDefault() by now
+        window.addEventListener('click', (e) => {
+            const link = e.target.closest?.('a[href]');
+            if (e.defaultPrevented || !this.isRoutable(link, e)) return;
+
+            e.preventDefault();
+            this.navigate(link.href);
+        });
+
+        // Prefetch on hover, keyboard focus or touch
+        const prefetch = (e) => {
+            const link = e.target.closest?.('a[href]');
+            if (this.isRoutable(link)) this.prefetch(link.href);
+        };
+        document.addEventListener('mouseover', prefetch);
+        document.addEventListener('focusin', prefetch);
+        document.addEventListener('touchstart', prefetch, { passive: true });
+
+        window.addEventListener('popstate', (e) => {
+            // Entries pushed by page modules (blog filters) keep their page
+            const key = e.state?.page || this.getPageKey(window.location.href);
+            const samePath = new URL(window.location.href).pathname === new URL(this.pageKey, window.location.href).pathname;
+            if (key === this.pageKey || (!e.state?.page && samePath)) return;
+
+            this.navigate(window.location.href, { push: false, scrollY: e.state?.scrollY });
+        });
+    }
+
+    /**
+     * Fetch a page's HTML once; hovering several times costs one request
+     */
+    prefetch(href) {
+        if (navigator.connection?.saveData) return null;
+
+        const url = new URL(href);
+        url.hash = '';
+        return window.dataLoader.load(url.href, { type: 'text' }).catch(() => null);
+    }
+
+    async navigate(href, { push = true, scrollY = null } = {}) {
+        const url = new URL(href);
+        const pageUrl = new URL(url);
+        pageUrl.hash = '';
+
+        const navigation = {};
+        this.navigating = navigation;
+        document.documentElement.classList.add('is-navigating');
+
+        let doc = null;
+        try {
+            const html = await window.dataLoader.load(pageUrl.href, { type: 'text' });
+            doc = new DOMParser().parseFromString(html, 'text/html');
+        } catch (error) {
+            console.error(`Failed to load ${pageUrl.href}:`, error);
+        }
+
+        // A newer click took over
+        if (this.navigating !== navigation) return;
+        this.navigating = null;
+
+        // Not one of the site's pages (or offline): let the browser handle it
+        if (!doc || !this.getContentNodes(doc)) {
+            document.documentElement.classList.remove('is-navigating');
+            if (push) {
+                window.location.assign(url.href);
+            } else {
+                window.location.reload();
+            }
+            return;
+        }
+
+        if (push) {
+            history.replaceState({ ...history.state, scrollY: window.pageYOffset }, '', window.location.href);
+            history.pushState({ page: this.getPageKey(url.href) }, '', url.href);
+        }
+        this.pageKey = this.getPageKey(url.href);
+
+        const swap = () => this.swap(doc);
+        if (document.startViewTransition && !window.utils.prefersReducedMotion()) {
+            await document.startViewTransition(swap).updateCallbackDone;
+        } else {
+            await swap();
+        }
+
+        document.documentElement.classList.remove('is-navigating');
+        this.restoreScroll(url, scrollY);
+    }
+
+    /**
+     * The page's own content: everything between the navbar and the footer
+     */
+    getContentNodes(doc) {
+        const navbar = doc.body.querySelector(':scope > .navbar');
+        const footer = doc.body.querySelector(':scope > .footer');
+        if (!navbar || !footer) return null;
+
+        const nodes = [];
+        for (let node = navbar.nextSibling; node && node !== footer; node = node.nextSibling) {
+            nodes.push(node);
+        }
+        return nodes;
+    }
+
+    async swap(doc) {
+        document.dispatchEvent(new CustomEvent('router:unload'));
+
+        this.updateHead(doc);
+        Array.from(document.body.attributes).forEach(({ name }) => document.body.removeAttribute(name));
+        Array.from(doc.body.attributes).forEach(({ name, value }) => document.body.setAttribute(name, value));
+
+        const footer = document.body.querySelector(':scope > .footer');
+        this.getContentNodes(document).forEach(node => node.remove());
+        this.getContentNodes(doc).forEach(node => footer.before(node));
+
+        await this.loadScripts(doc);
+
+        window.i18n?.applyTranslations();
+        window.configManager?.init();
+        window.utils.updateActiveNav();
+        document.dispatchEvent(new CustomEvent('router:load'));
+    }
+
+    /**
+     * Title, <base> (the page's depth below the site root) and page metadata
+     */
+    updateHead(doc) {
+        document.title = doc.title;
+
+        const base = doc.head.querySelector('base');
+        const currentBase = document.head.querySelector('base');
+        if (base && currentBase) {
+            currentBase.setAttribute('href', base.getAttribute('href'));
+        } else if (base) {
+            document.head.querySelector('meta[charset]').after(base.cloneNode());
+        } else if (currentBase) {
+            currentBase.remove();
+        }
+
+        document.head.querySelectorAll(this.pageHeadSelector).forEach(element => element.remove());
+        doc.head.querySelectorAll(this.pageHeadSelector).forEach(element => {
+            document.head.appendChild(document.importNode(element, true));
+        });
+    }
+
+    /**
+     * Run the page's scripts that aren't loaded yet, in order, and its
+     * inline scripts
+     */
+    async loadScripts(doc) {
+        const loaded = new Set(Array.from(document.scripts, script => script.src).filter(Boolean));
+
+        for (const source of doc.body.querySelectorAll('script')) {
+            if (source.type && source.type !== 'text/javascript') continue;
+
+            const src = source.getAttribute('src');
+            if (src && loaded.has(new URL(src, document.baseURI).href)) continue;
+
+            const script = document.createElement('script');
+            if (src) {
+                script.src = src;
+                await new Promise(resolve => {
+                    script.onload = resolve;
+                    script.onerror = resolve;
+                    document.body.appendChild(script);
+                });
+            } else {
+                script.textContent = source.textContent;
+                document.body.appendChild(script);
+                script.remove();
+            }
+        }
+    }
+
+    /**
+     * Back/forward return to where the reader was; new pages start at the
+     * top, or at their #section
+     */
+    restoreScroll(url, scrollY) {
+        const target = window.utils.getHashTarget(url.hash);
+        if (target) {
+            window.utils.scrollToTarget(target, 'auto');
+        } else {
+            window.scrollTo(0, scrollY || 0);
+        }
+
+        // Tell screen readers where they are now
+        const heading = document.querySelector('h1');
+        if (heading) {
+            if (!heading.hasAttribute('tabindex')) heading.setAttribute('tabindex', '-1');
+            heading.focus({ preventScroll: true });
+        }
+    }
+}
+
+// Create and export singleton
+const router = new Router();
+
+// Initialize on DOM ready
+document.addEventListener('DOMContentLoaded', () => {
+    router.init();
+});
+
+window.router = router;
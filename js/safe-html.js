@@ -0,0 +1,151 @@
+/**
+ * Safe HTML Module
+ * Escaping, URL checks and sanitizing for markup built from data. Every module
+ * that puts JSON values, translations or fetched content into innerHTML goes
+ * through here; the build scripts load it under Node too.
+ */
+
+class SafeHtml {
+    constructor() {
+        // Schemes allowed in links and sources; relative URLs are always allowed
+        this.urlSchemes = ['http', 'https', 'mailto'];
+        this.urlAttributes = ['href', 'src', 'cite'];
+
+        // Removed together with everything inside them
+        this.droppedElements = ['script', 'style', 'iframe', 'frame', 'object', 'embed', 'template',
+            'noscript', 'textarea', 'select', 'svg', 'math'];
+
+        // Post content: element -> attributes it keeps. "*" lists the ones every element keeps.
+        this.contentTags = {
+            '*': ['id', 'class', 'title', 'lang', 'dir', 'aria-label', 'aria-hidden'],
+            a: ['href', 'rel', 'target'],
+            img: ['src', 'alt', 'width', 'height', 'loading'],
+            ol: ['start'],
+            th: ['style', 'colspan', 'rowspan'],
+            td: ['style', 'colspan', 'rowspan'],
+            blockquote: ['cite'],
+            q: ['cite'],
+            time: ['datetime'],
+            ...Object.fromEntries([
+                'p', 'br', 'hr', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'div', 'span', 'section', 'article', 'aside',
+                'strong', 'b', 'em', 'i', 'u', 's', 'del', 'ins', 'mark', 'small', 'sub', 'sup', 'abbr', 'cite',
+                'code', 'pre', 'kbd', 'samp', 'var', 'ul', 'li', 'dl', 'dt', 'dd', 'figure', 'figcaption',
+                'table', 'caption', 'thead', 'tbody', 'tfoot', 'tr', 'colgroup', 'col', 'details', 'summary'
+            ].map(tag => [tag, []]))
+        };
+
+        // Kept attributes whose value must also match
+        this.attributePatterns = {
+            style: /^\s*text-align:\s*(left|center|right)\s*;?\s*$/i,
+            target: /^_blank$/
+        };
+    }
+
+    /**
+     * Text for element content or a double-quoted attribute value
+     */
+    escape(text) {
+        return String(text ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    isSafeUrl(url) {
+        // Browsers skip whitespace and control characters when reading the scheme
+        const scheme = String(url ?? '').replace(/[\u0000- ]/g, '').match(/^([a-z][\w+.-]*):/i);
+        return !scheme || this.urlSchemes.includes(scheme[1].toLowerCase());
+    }
+
+    /**
+     * A URL for an href or src attribute, escaped, or fallback when its
+     * scheme is not allowed (javascript:, data:, ...)
+     */
+    url(value, fallback = '#') {
+        return this.isSafeUrl(value) ? this.escape(value) : fallback;
+    }
+
+    /**
+     * Character references in an attribute value, as the browser reads them
+     */
+    decodeEntities(text) {
+        const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", colon: ':', tab: '\t', newline: '\n' };
+
+        return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);?/gi, (match, entity) => {
+            if (entity[0] !== '#') return named[entity.toLowerCase()] ?? match;
+
+            const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+            return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : '';
+        });
+    }
+
+    /**
+     * Keep only the elements and attributes in allowedTags (element ->
+     * attribute list, as contentTags). Other tags are dropped but their text
+     * kept, except droppedElements, which go with their content; comments go
+     * too. URL attributes must pass isSafeUrl().
+     */
+    sanitize(html, allowedTags = this.contentTags) {
+        const parts = String(html ?? '').split(/(<!--[\s\S]*?(?:-->|$)|<\/?[a-zA-Z][^\s/>]*(?:[^>"']|"[^"]*"|'[^']*')*>)/);
+        let dropping = null;
+        let depth = 0;
+
+        return parts.map((part, index) => {
+            // Even parts are text, odd parts are tags and comments
+            if (index % 2 === 0) return dropping ? '' : part.replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+            const tag = part.match(/^<(\/?)([a-zA-Z][\w-]*)([\s\S]*?)(\/?)>$/);
+            if (!tag) return '';
+
+            const [, closing, tagName, attributeText, selfClosing] = tag;
+            const name = tagName.toLowerCase();
+
+            if (dropping) {
+                if (name === dropping && !selfClosing) depth += closing ? -1 : 1;
+                if (depth === 0) dropping = null;
+                return '';
+            }
+            if (this.droppedElements.includes(name)) {
+                if (!closing && !selfClosing) {
+                    dropping = name;
+                    depth = 1;
+                }
+                return '';
+            }
+
+            if (!allowedTags[name]) return '';
+            if (closing) return `</${name}>`;
+
+            const allowed = [...allowedTags[name], ...(allowedTags['*'] || [])];
+            const attributes = [...attributeText.matchAll(/([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g)]
+                .map(([, attribute, doubleQuoted, singleQuoted, unquoted]) =>
+                    [attribute.toLowerCase(), doubleQuoted ?? singleQuoted ?? unquoted ?? null])
+                .filter(([attribute, value]) => this.isAllowedAttribute(attribute, value, allowed))
+                .map(([attribute, value]) => (value === null ? ` ${attribute}` : ` ${attribute}="${value.replace(/"/g, '&quot;')}"`));
+
+            return `<${name}${attributes.join('')}>`;
+        }).join('');
+    }
+
+    isAllowedAttribute(attribute, value, allowed) {
+        if (!allowed.includes(attribute) || /^on/.test(attribute)) return false;
+        if (value === null) return !this.urlAttributes.includes(attribute) && !this.attributePatterns[attribute];
+
+        const decoded = this.decodeEntities(value);
+        if (this.urlAttributes.includes(attribute) && !this.isSafeUrl(decoded)) return false;
+        return !this.attributePatterns[attribute] || this.attributePatterns[attribute].test(decoded);
+    }
+}
+
+// Create and export singleton
+const safeHtml = new SafeHtml();
+
+if (typeof window !== 'undefined') {
+    window.safeHtml = safeHtml;
+}
+
+// The build scripts in scripts/ use the same escaping under Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SafeHtml, safeHtml };
+}
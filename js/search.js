@@ -0,0 +1,260 @@
+/**
+ * Search Module
+ * Client-side full-text index over blog post titles, excerpts, tags and bodies
+ */
+
+class SearchIndex {
+    constructor() {
+        // One index per language, built lazily on first search
+        this.indexes = {};
+        this.building = {};
+        this.fieldWeights = { title: 5, tags: 3, excerpt: 2, body: 1 };
+        this.snippetLength = 180;
+        this.cachePrefix = 'searchBody:';
+    }
+
+    tokenize(text) {
+        return window.utils.normalizeText(text).split(/[^a-z0-9]+/).filter(Boolean);
+    }
+
+    /**
+     * Build (or return the cached) index for a language
+     */
+    build(posts, lang) {
+        if (this.indexes[lang]) return Promise.resolve(this.indexes[lang]);
+        if (this.building[lang]) return this.building[lang];
+
+        this.building[lang] = Promise.all(posts.map(post => this.loadBody(post, lang)))
+            .then(bodies => {
+                const index = { docs: {}, terms: new Map() };
+
+                posts.forEach((post, i) => {
+                    const fields = {
+                        title: window.utils.getLocalized(post.title, lang),
+                        excerpt: window.utils.getLocalized(post.excerpt, lang),
+                        tags: post.tags.join(' '),
+                        body: bodies[i]
+                    };
+
+                    index.docs[post.id] = fields;
+
+                    Object.entries(fields).forEach(([field, text]) => {
+                        this.tokenize(text).forEach(token => {
+                            if (!index.terms.has(token)) index.terms.set(token, new Map());
+                            const postings = index.terms.get(token);
+                            const entry = postings.get(post.id) || { title: 0, tags: 0, excerpt: 0, body: 0 };
+                            entry[field]++;
+                            postings.set(post.id, entry);
+                        });
+                    });
+                });
+
+                this.indexes[lang] = index;
+                delete this.building[lang];
+                return index;
+            })
+            .catch(error => {
+                // Not kept, so the next search tries again
+                delete this.building[lang];
+                throw error;
+            });
+
+        return this.building[lang];
+    }
+
+    isReady(lang) {
+        return Boolean(this.indexes[lang]);
+    }
+
+    /**
+     * Fetch a post body (HTML fragment or Markdown) as plain text, cached in
+     * sessionStorage between page loads
+     */
+    async loadBody(post, lang) {
+        const path = window.utils.getLocalized(post.content, lang);
+        if (!path) return '';
+
+        const cacheKey = this.cachePrefix + path;
+        try {
+            const cached = sessionStorage.getItem(cacheKey);
+            if (cached !== null) return cached;
+        } catch (e) {
+            // Storage disabled (SecurityError); fetch the body instead
+        }
+
+        try {
+            let text;
+
+            if (window.markdown?.isMarkdownPath(path)) {
+                text = (await window.markdown.fetchDocument(path)).text;
+            } else {
+                const html = await window.dataLoader.load(path, { type: 'text', cache: false });
+                const doc = new DOMParser().parseFromString(html, 'text/html');
+                text = (doc.body.textContent || '').replace(/\s+/g, ' ').trim();
+            }
+
+            try {
+                sessionStorage.setItem(cacheKey, text);
+            } catch (e) {
+                // Storage full or disabled; the in-memory index still works
+            }
+            return text;
+        } catch (error) {
+            console.error(`Failed to index post content ${path}:`, error);
+            return '';
+        }
+    }
+
+    /**
+     * Rank posts against a query. Every query term must match (as a word prefix)
+     * somewhere in the post; scores are weighted by field, with a bonus for the
+     * exact phrase.
+     * Returns [{ id, score, title, snippet }] sorted by score, or null if the index isn't built.
+     */
+    search(query, lang) {
+        const index = this.indexes[lang];
+        if (!index) return null;
+
+        const queryTokens = this.tokenize(query);
+        if (queryTokens.length === 0) return null;
+
+        const scores = new Map();
+
+        for (let i = 0; i < queryTokens.length; i++) {
+            const queryToken = queryTokens[i];
+            const matched = new Map();
+
+            index.terms.forEach((postings, term) => {
+                if (!term.startsWith(queryToken)) return;
+                // Exact term matches count more than prefix matches
+                const exactness = term === queryToken ? 1 : 0.5;
+
+                postings.forEach((counts, id) => {
+                    let termScore = 0;
+                    Object.entries(this.fieldWeights).forEach(([field, weight]) => {
+                        termScore += counts[field] * weight * exactness;
+                    });
+                    matched.set(id, (matched.get(id) || 0) + termScore);
+                });
+            });
+
+            // AND semantics: drop posts that miss this term
+            if (i === 0) {
+                matched.forEach((score, id) => scores.set(id, score));
+            } else {
+                scores.forEach((score, id) => {
+                    if (matched.has(id)) {
+                        scores.set(id, score + matched.get(id));
+                    } else {
+                        scores.delete(id);
+                    }
+                });
+            }
+
+            if (scores.size === 0) return [];
+        }
+
+        const phrase = queryTokens.join(' ');
+
+        return Array.from(scores.entries())
+            .map(([id, score]) => {
+                const doc = index.docs[id];
+                const flat = this.tokenize(`${doc.title} ${doc.excerpt} ${doc.body}`).join(' ');
+                if (queryTokens.length > 1 && flat.includes(phrase)) {
+                    score *= 2;
+                }
+                return {
+                    id,
+                    score,
+                    title: this.highlight(doc.title, queryTokens),
+                    snippet: this.createSnippet(doc, queryTokens)
+                };
+            })
+            .sort((a, b) => b.score - a.score);
+    }
+
+    /**
+     * Pick the excerpt, or a window of the body around the first match, and
+     * wrap the matched words in <mark>. Returns escaped HTML.
+     */
+    createSnippet(doc, queryTokens) {
+        const excerptMatch = this.findMatch(doc.excerpt, queryTokens);
+        if (excerptMatch !== -1 || !doc.body) {
+            return this.highlight(doc.excerpt, queryTokens);
+        }
+
+        const position = this.findMatch(doc.body, queryTokens);
+        if (position === -1) {
+            return this.highlight(doc.excerpt, queryTokens);
+        }
+
+        let start = Math.max(0, position - Math.floor(this.snippetLength / 3));
+        if (start > 0) {
+            const space = doc.body.indexOf(' ', start);
+            start = space !== -1 && space < position ? space + 1 : start;
+        }
+        let end = Math.min(doc.body.length, start + this.snippetLength);
+        if (end < doc.body.length) {
+            const space = doc.body.lastIndexOf(' ', end);
+            end = space > position ? space : end;
+        }
+
+        const text = doc.body.slice(start, end);
+        return (start > 0 ? '…' : '') + this.highlight(text, queryTokens) + (end < doc.body.length ? '…' : '');
+    }
+
+    /**
+     * Position (in the original text) of the first word starting with a query term
+     */
+    findMatch(text, queryTokens) {
+        const ranges = this.matchRanges(text, queryTokens);
+        return ranges.length > 0 ? ranges[0][0] : -1;
+    }
+
+    /**
+     * Map each character to its normalized form so matches found in the
+     * accent-free text can be located in the original text
+     */
+    matchRanges(text, queryTokens) {
+        const ranges = [];
+        const wordPattern = /[\p{L}\p{N}]+/gu;
+        let match;
+
+        while ((match = wordPattern.exec(text)) !== null) {
+            const word = window.utils.normalizeText(match[0]);
+            const token = queryTokens.find(t => word.startsWith(t));
+            if (token) {
+                // Highlight only the matched prefix, counted in original characters
+                let length = 0;
+                let normalizedLength = 0;
+                for (const char of match[0]) {
+                    if (normalizedLength >= token.length) break;
+                    normalizedLength += window.utils.normalizeText(char).length;
+                    length += char.length;
+                }
+                ranges.push([match.index, match.index + length]);
+            }
+        }
+
+        return ranges;
+    }
+
+    highlight(text, queryTokens) {
+        const ranges = this.matchRanges(text, queryTokens);
+        let html = '';
+        let cursor = 0;
+
+        ranges.forEach(([start, end]) => {
+            html += window.safeHtml.escape(text.slice(cursor, start));
+            html += `<mark>${window.safeHtml.escape(text.slice(start, end))}</mark>`;
+            cursor = end;
+        });
+
+        return html + window.safeHtml.escape(text.slice(cursor));
+    }
+}
+
+// Create and export singleton
+const searchIndex = new SearchIndex();
+
+window.searchIndex = searchIndex;
@@ -0,0 +1,281 @@
+/**
+ * SEO Module
+ * Builds Open Graph / Twitter card tags, canonical and hreflang links and
+ * JSON-LD (BlogPosting, ScholarlyArticle) from the site data
+ */
+
+class SeoBuilder {
+    constructor() {
+        this.defaultLang = 'en';
+        this.defaultImage = 'assets/images/profile.jpg';
+        this.defaultAuthor = 'Matheus Nascimento Loureiro';
+
+        this.researchStatus = {
+            publications: 'Published',
+            working_papers: 'Working paper',
+            works_in_progress: 'In progress'
+        };
+    }
+
+    /**
+     * Absolute URL of a path relative to the site root ("https://…/")
+     */
+    absolute(relativePath, siteUrl) {
+        return new URL(relativePath, siteUrl).href;
+    }
+
+    /**
+     * Open Graph locale of a site language: "pt-BR" -> "pt_BR"
+     */
+    getOgLocale(lang) {
+        return (window.i18n?.getLocale(lang) || lang).replace('-', '_');
+    }
+
+    /**
+     * "https://x.com/matnaslou" -> "@matnaslou"
+     */
+    getTwitterHandle(config) {
+        const match = (config?.social?.twitter || '').match(/(?:twitter|x)\.com\/@?(\w+)/);
+        return match ? `@${match[1]}` : null;
+    }
+
+    /**
+     * Everything the head of a post page needs, for one language
+     * context: { siteUrl, categories, tags, config }
+     */
+    getPostMeta(post, lang, { siteUrl, categories = {}, tags = {}, config = null }) {
+        const author = post.author || config?.profile?.name || this.defaultAuthor;
+        const canonical = this.absolute(window.utils.getPostUrl(post.id, lang), siteUrl);
+        const languages = Object.keys(post.content || {}).filter(code => post.title?.[code]);
+        const image = this.absolute(post.image || this.defaultImage, siteUrl);
+        const title = window.utils.getLocalized(post.title, lang);
+        const description = window.utils.getLocalized(post.excerpt, lang);
+        const section = window.utils.getLocalized(categories, lang)?.[post.category] || post.category;
+        const keywords = (post.tags || []).map(tag => window.utils.getTagName(tags, tag, lang));
+
+        return {
+            title,
+            description,
+            canonical,
+            alternates: languages.map(code => ({
+                lang: code,
+                url: this.absolute(window.utils.getPostUrl(post.id, code), siteUrl)
+            })),
+            og: [
+                ['og:type', 'article'],
+                ['og:site_name', config?.profile?.name || this.defaultAuthor],
+                ['og:title', title],
+                ['og:description', description],
+                ['og:url', canonical],
+                ['og:image', image],
+                ['og:locale', this.getOgLocale(lang)],
+                ...languages.filter(code => code !== lang)
+                    .map(code => ['og:locale:alternate', this.getOgLocale(code)]),
+                ['article:published_time', post.date],
+                ['article:author', author],
+                ['article:section', section],
+                ...keywords.map(tag => ['article:tag', tag])
+            ],
+            twitter: [
+                ['twitter:card', post.image ? 'summary_large_image' : 'summary'],
+                ['twitter:site', this.getTwitterHandle(config)],
+                ['twitter:creator', this.getTwitterHandle(config)],
+                ['twitter:title', title],
+                ['twitter:description', description],
+                ['twitter:image', image]
+            ].filter(([, value]) => value),
+            jsonLd: {
+                '@context': 'https://schema.org',
+                '@type': 'BlogPosting',
+                headline: title,
+                description,
+                url: canonical,
+                mainEntityOfPage: { '@type': 'WebPage', '@id': canonical },
+                image,
+                datePublished: post.date,
+                dateModified: post.updated || post.date,
+                inLanguage: lang,
+                articleSection: section,
+                keywords: keywords.join(', '),
+                author: { '@type': 'Person', name: author, url: siteUrl },
+                publisher: { '@type': 'Person', name: config?.profile?.name || this.defaultAuthor, url: siteUrl }
+            }
+        };
+    }
+
+    /**
+     * ScholarlyArticle for one research.json item
+     */
+    getScholarlyArticle(item, section, lang, siteUrl) {
+        const citations = typeof window !== 'undefined' ? window.citationBuilder : null;
+        const authors = citations
+            ? citations.getAuthors(item).map(({ given, family }) => `${given} ${family}`.trim())
+            : [this.defaultAuthor, ...(item.coauthors || [])];
+        const pdf = item.links?.find(link => link.type === 'pdf')?.url;
+
+        const article = {
+            '@type': 'ScholarlyArticle',
+            '@id': `${this.absolute('research.html', siteUrl)}#${item.id}`,
+            headline: window.utils.getLocalized(item.title, lang),
+            name: window.utils.getLocalized(item.title, lang),
+            abstract: window.utils.getLocalized(item.abstract, lang) || undefined,
+            inLanguage: lang,
+            author: authors.map(name => ({ '@type': 'Person', name })),
+            creativeWorkStatus: this.researchStatus[section]
+        };
+
+        if (item.year) article.datePublished = String(item.year);
+        if (item.venue) article.isPartOf = { '@type': 'Periodical', name: item.venue };
+        if (item.image) article.image = this.absolute(item.image, siteUrl);
+        if (pdf) article.url = pdf;
+        if (item.doi) {
+            article.sameAs = `https://doi.org/${item.doi}`;
+            article.identifier = { '@type': 'PropertyValue', propertyID: 'DOI', value: item.doi };
+        }
+
+        return article;
+    }
+
+    getResearchJsonLd(data, lang, siteUrl) {
+        return {
+            '@context': 'https://schema.org',
+            '@graph': Object.keys(this.researchStatus).flatMap(section =>
+                (data[section] || []).map(item => this.getScholarlyArticle(item, section, lang, siteUrl)))
+        };
+    }
+
+    /**
+     * JSON for a <script type="application/ld+json">, safe to inline
+     */
+    serializeJsonLd(data) {
+        return JSON.stringify(data, null, 2).replace(/</g, '\\u003c');
+    }
+
+    /**
+     * Canonical and hreflang links of a site page, which exists at the root
+     * in the default language and under <lang>/ in the others
+     */
+    getPageMeta(page, lang, languages, siteUrl) {
+        const urlFor = code => this.absolute(code === this.defaultLang ? page : `${code}/${page}`, siteUrl);
+
+        return {
+            canonical: urlFor(lang),
+            alternates: languages.map(code => ({ lang: code, url: urlFor(code) }))
+        };
+    }
+
+    renderLinks(meta) {
+        const escape = text => window.safeHtml.escape(text);
+
+        return [
+            `<link rel="canonical" href="${escape(meta.canonical)}">`,
+            ...meta.alternates.map(({ lang, url }) =>
+                `<link rel="alternate" hreflang="${lang}" href="${escape(url)}">`),
+            ...this.getDefaultAlternate(meta).map(url =>
+                `<link rel="alternate" hreflang="x-default" href="${escape(url)}">`)
+        ];
+    }
+
+    /**
+     * Head markup for a prerendered post page
+     */
+    renderPostHead(meta) {
+        const escape = text => window.safeHtml.escape(text);
+
+        return [
+            ...this.renderLinks(meta),
+            ...meta.og.map(([property, content]) =>
+                `<meta property="${property}" content="${escape(content)}">`),
+            ...meta.twitter.map(([name, content]) =>
+                `<meta name="${name}" content="${escape(content)}">`),
+            `<script type="application/ld+json" id="postJsonLd">\n${this.serializeJsonLd(meta.jsonLd)}\n</script>`
+        ];
+    }
+
+    getDefaultAlternate(meta) {
+        const fallback = meta.alternates.find(({ lang }) => lang === this.defaultLang);
+        return fallback ? [fallback.url] : [];
+    }
+
+    /**
+     * Runtime counterpart of renderPostHead(): update the tags in place
+     * (they are already there on prerendered pages)
+     */
+    applyPostHead(meta) {
+        const head = document.head;
+
+        const upsert = (selector, tag, attributes) => {
+            let element = head.querySelector(selector);
+            if (!element) {
+                element = document.createElement(tag);
+                head.appendChild(element);
+            }
+            Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+            return element;
+        };
+
+        upsert('meta[name="description"]', 'meta', { name: 'description', content: meta.description });
+        upsert('link[rel="canonical"]', 'link', { rel: 'canonical', href: meta.canonical });
+
+        head.querySelectorAll('link[rel="alternate"][hreflang]').forEach(link => link.remove());
+        [...meta.alternates, ...this.getDefaultAlternate(meta).map(url => ({ lang: 'x-default', url }))]
+            .forEach(({ lang, url }) => {
+                const link = document.createElement('link');
+                link.rel = 'alternate';
+                link.hreflang = lang;
+                link.href = url;
+                head.appendChild(link);
+            });
+
+        // Repeated properties (og:locale:alternate, article:tag) are rebuilt
+        head.querySelectorAll('meta[property^="og:"], meta[property^="article:"], meta[name^="twitter:"]')
+            .forEach(element => element.remove());
+        meta.og.forEach(([property, content]) => {
+            const element = document.createElement('meta');
+            element.setAttribute('property', property);
+            element.setAttribute('content', content);
+            head.appendChild(element);
+        });
+        meta.twitter.forEach(([name, content]) => {
+            const element = document.createElement('meta');
+            element.setAttribute('name', name);
+            element.setAttribute('content', content);
+            head.appendChild(element);
+        });
+
+        this.applyJsonLd('postJsonLd', meta.jsonLd);
+    }
+
+    applyJsonLd(id, data) {
+        let script = document.getElementById(id);
+        if (!script) {
+            script = document.createElement('script');
+            script.type = 'application/ld+json';
+            script.id = id;
+            document.head.appendChild(script);
+        }
+        script.textContent = this.serializeJsonLd(data);
+    }
+
+    /**
+     * Site root as an absolute URL: the configured site URL at build time,
+     * the page's base URL in the browser
+     */
+    getSiteUrl(config) {
+        if (typeof document !== 'undefined') {
+            return new URL('.', document.baseURI).href;
+        }
+        return `${config.site.url.replace(/\/$/, '')}/`;
+    }
+}
+
+// Create and export singleton
+const seo = new SeoBuilder();
+
+if (typeof window !== 'undefined') {
+    window.seo = seo;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SeoBuilder, seo };
+}
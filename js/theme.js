@@ -1,63 +1,430 @@
 /**
  * Theme Customization Module
- * Handles color theming and customization
+ * Handles color theming and customization: light/dark/system scheme, the
+ * primary color's hue, saturation and lightness, and the font scale. The
+ * inline bootstrap in each page's <head> applies the saved values before
+ * first paint.
+ *
+ * A theme is a plain object ({ hue, saturation, lightness, scheme, fontScale })
+ * that can be exported as JSON or as a ?theme= link and imported back. The
+ * presets and the site's default theme come from data/config.json.
+ *
+ * Custom colors are kept readable: the primary shades are moved away from
+ * the chosen lightness as little as needed to reach WCAG AA contrast.
  */
 
 class ThemeManager {
     constructor() {
-        this.presets = {
-            academic: { hue: 220, name: 'Academic Blue' },
-            forest: { hue: 150, name: 'Forest Green' },
-            sunset: { hue: 25, name: 'Warm Orange' },
-            lavender: { hue: 270, name: 'Lavender' },
-            rose: { hue: 350, name: 'Rose' },
-            ocean: { hue: 195, name: 'Ocean Teal' },
-            gold: { hue: 45, name: 'Gold' },
-            slate: { hue: 215, name: 'Slate' }
+        // Until data/config.json names a default; matches css/styles.css
+        this.defaults = { hue: 220, saturation: 70, lightness: 50, scheme: 'system', fontScale: 1 };
+        this.presets = {};
+        this.modes = ['light', 'dark', 'system'];
+
+        // Order of the values in a ?theme= link
+        this.fields = ['hue', 'saturation', 'lightness', 'scheme', 'fontScale'];
+
+        // Same bounds as the sliders in the theme panel
+        this.ranges = { saturation: [20, 100], lightness: [30, 70], fontScale: [0.75, 1.5] };
+
+        // WCAG AA for normal text
+        this.minContrast = 4.5;
+
+        // Mirrors --bg-primary / --bg-secondary and --primary-dark-lightness
+        // of each scheme in css/styles.css
+        this.schemes = {
+            light: { background: '#ffffff', surface: '#f8fafc', darkLightness: 35 },
+            dark: { background: '#0f172a', surface: '#162033', darkLightness: 75 }
         };
 
-        this.currentHue = parseInt(localStorage.getItem('themeHue')) || 220;
+        // Candidate text colors on primary backgrounds (--on-primary)
+        this.onPrimaryColors = ['#ffffff', '#0f172a'];
+
+        // The visitor's own choice; without one the site default is shown
+        this.storedTheme = this.getStoredTheme();
+        this.theme = this.normalize(this.storedTheme || this.defaults);
         this.isPanelOpen = false;
+
+        // None outside the browser (scripts/validate-data.js checks the presets' contrast)
+        this.colorSchemeQuery = typeof window !== 'undefined'
+            ? window.matchMedia('(prefers-color-scheme: dark)')
+            : null;
     }
 
     init() {
-        this.applyTheme(this.currentHue);
+        const shared = this.getUrlTheme();
+        this.applyTheme(shared || this.theme, Boolean(shared || this.storedTheme));
         this.setupEventListeners();
         this.renderPresets();
+
+        // The contrast badge is translated text
+        if (window.i18n) {
+            window.i18n.subscribe(() => this.updateContrastBadge());
+        }
+
+        this.loadPresets();
+    }
+
+    /**
+     * Presets and default theme from data/config.json
+     */
+    async loadPresets() {
+        let themes;
+        try {
+            themes = (await window.configManager?.load())?.theme;
+        } catch (error) {
+            return; // Reported by ConfigManager; the built-in default stays
+        }
+        if (!themes?.presets) return;
+
+        this.presets = themes.presets;
+        if (this.presets[themes.default]) {
+            this.defaults = this.normalize(this.getPresetTheme(themes.default));
+        }
+        this.renderPresets();
+
+        if (!this.storedTheme) {
+            this.applyTheme(this.defaults, false);
+        }
+    }
+
+    getStoredTheme() {
+        try {
+            const stored = JSON.parse(localStorage.getItem('theme'));
+            return stored && typeof stored === 'object' ? this.normalize(stored) : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Theme shared through ?theme=; the parameter is dropped from the
+     * address once read so the link doesn't override later changes
+     */
+    getUrlTheme() {
+        const url = new URL(window.location.href);
+        const param = url.searchParams.get('theme');
+        if (param === null) return null;
+
+        url.searchParams.delete('theme');
+        history.replaceState(history.state, '', url.href);
+
+        return this.parse(param);
     }
 
-    applyTheme(hue) {
-        this.currentHue = hue;
-        document.documentElement.style.setProperty('--primary-hue', hue);
-        localStorage.setItem('themeHue', hue);
+    /**
+     * Apply a theme, or some of its fields over the current one. It is saved
+     * as the visitor's choice unless persist is false (the site default).
+     */
+    applyTheme(changes, persist = true) {
+        const theme = this.normalize({ ...this.theme, ...changes });
+        const { hue, saturation, lightness } = theme;
+        this.theme = theme;
 
-        // Update active preset indicator
+        // Both schemes, so the bootstrap can paint either one
+        this.palettes = {
+            light: this.getPalette(hue, saturation, lightness, 'light'),
+            dark: this.getPalette(hue, saturation, lightness, 'dark')
+        };
+        this.applyScheme();
+
+        localStorage.setItem('themeVars', JSON.stringify({
+            scheme: theme.scheme,
+            light: this.getVars('light'),
+            dark: this.getVars('dark')
+        }));
+        if (persist) {
+            this.storedTheme = theme;
+            localStorage.setItem('theme', this.serialize(theme));
+        }
+
+        this.updateControls();
+    }
+
+    /**
+     * 'light', 'dark' or 'system' (follow prefers-color-scheme)
+     */
+    applyMode(mode) {
+        this.applyTheme({ scheme: mode });
+    }
+
+    /**
+     * Forget the visitor's choice and go back to the site default
+     */
+    resetTheme() {
+        localStorage.removeItem('theme');
+        this.storedTheme = null;
+        this.applyTheme(this.defaults, false);
+    }
+
+    applyScheme() {
+        document.documentElement.dataset.theme = this.getResolvedMode();
+        this.applyPalette();
         this.updatePresetIndicators();
+    }
+
+    getResolvedMode() {
+        if (this.theme.scheme !== 'system') return this.theme.scheme;
+        return this.colorSchemeQuery.matches ? 'dark' : 'light';
+    }
+
+    updateControls() {
+        const { hue, saturation, lightness, scheme, fontScale } = this.theme;
 
-        // Update color picker if exists
         const picker = document.getElementById('colorPicker');
         if (picker) {
-            picker.value = this.hslToHex(hue, 70, 50);
+            picker.value = this.hslToHex(hue, saturation, lightness);
+        }
+        this.updateSlider('themeSaturation', saturation);
+        this.updateSlider('themeLightness', lightness);
+        this.updateSlider('themeFontScale', Math.round(fontScale * 100));
+
+        document.querySelectorAll('#themeModes .theme-mode').forEach(btn => {
+            const active = btn.getAttribute('data-mode') === scheme;
+            btn.classList.toggle('active', active);
+            btn.setAttribute('aria-pressed', active);
+        });
+    }
+
+    updateSlider(id, value) {
+        const slider = document.getElementById(id);
+        const output = document.getElementById(`${id}Value`);
+        if (slider) slider.value = value;
+        if (output) output.textContent = `${value}%`;
+    }
+
+    /**
+     * A complete theme from a partial or untrusted one: unknown fields are
+     * dropped, missing ones come from the defaults and numbers are clamped
+     */
+    normalize(theme) {
+        const source = { ...this.defaults, ...theme };
+        const number = (value, fallback) => (value !== '' && Number.isFinite(Number(value)) ? Number(value) : fallback);
+
+        return {
+            hue: ((Math.round(number(source.hue, this.defaults.hue)) % 360) + 360) % 360,
+            saturation: this.clamp(Math.round(number(source.saturation, this.defaults.saturation)), ...this.ranges.saturation),
+            lightness: this.clamp(Math.round(number(source.lightness, this.defaults.lightness)), ...this.ranges.lightness),
+            scheme: this.modes.includes(source.scheme) ? source.scheme : this.defaults.scheme,
+            fontScale: Math.round(this.clamp(number(source.fontScale, this.defaults.fontScale), ...this.ranges.fontScale) * 100) / 100
+        };
+    }
+
+    serialize(theme = this.theme) {
+        return JSON.stringify(theme);
+    }
+
+    /**
+     * Compact ?theme= value: the fields in order, e.g. "45,70,50,dark,1"
+     */
+    toParam(theme = this.theme) {
+        return this.fields.map(field => theme[field]).join(',');
+    }
+
+    getShareUrl(theme = this.theme) {
+        const url = new URL(window.location.href);
+        url.searchParams.delete('theme');
+
+        // Appended by hand so the commas stay readable
+        const query = url.searchParams.toString();
+        url.search = `${query ? `${query}&` : ''}theme=${this.toParam(theme)}`;
+        return url.href;
+    }
+
+    /**
+     * Theme from exported JSON, a ?theme= value or a link carrying one;
+     * null when the text is none of these
+     */
+    parse(text) {
+        const value = String(text ?? '').trim();
+        if (!value) return null;
+
+        if (value.startsWith('{')) {
+            try {
+                const theme = JSON.parse(value);
+                return theme && typeof theme === 'object' && !Array.isArray(theme) ? this.normalize(theme) : null;
+            } catch (error) {
+                return null;
+            }
+        }
+
+        if (value.includes('?')) {
+            try {
+                return this.parse(new URL(value, window.location.href).searchParams.get('theme'));
+            } catch (error) {
+                return null;
+            }
+        }
+
+        const parts = value.split(',');
+        if (parts.length > this.fields.length || !Number.isFinite(Number(parts[0]))) return null;
+
+        const theme = {};
+        parts.forEach((part, index) => {
+            theme[this.fields[index]] = part.trim();
+        });
+        return this.normalize(theme);
+    }
+
+    clamp(value, min, max) {
+        return Math.min(max, Math.max(min, value));
+    }
+
+    /**
+     * Set the palette of the scheme on screen as inline custom properties
+     */
+    applyPalette() {
+        if (!this.palettes) return;
+
+        const root = document.documentElement;
+        Object.entries(this.getVars(this.getResolvedMode())).forEach(([property, value]) => {
+            root.style.setProperty(property, value);
+        });
+
+        this.updateContrastBadge();
+    }
+
+    getVars(scheme) {
+        return { ...this.palettes[scheme].vars, '--font-scale': String(this.theme.fontScale) };
+    }
+
+    /**
+     * Primary shades of one scheme that meet AA: --primary for links on the
+     * page and card backgrounds and under --on-primary text, --primary-dark
+     * for hovers and tag text on --primary-light
+     */
+    getPalette(hue, saturation, lightness, scheme) {
+        const { background, surface, darkLightness } = this.schemes[scheme];
+        const backgrounds = [background, surface].map(hex => this.hexToRgb(hex));
+        const primaryLight = scheme === 'dark'
+            ? this.hslToRgb(hue, saturation * 0.5, 18)
+            : this.hslToRgb(hue, saturation, 95);
+
+        const primary = this.adjustLightness(lightness, candidate => {
+            const color = this.hslToRgb(hue, saturation, candidate);
+            return Math.min(
+                ...backgrounds.map(rgb => this.contrastRatio(color, rgb)),
+                this.getOnPrimary(color).ratio
+            );
+        });
+        const onPrimary = this.getOnPrimary(this.hslToRgb(hue, saturation, primary.lightness));
+
+        const dark = this.adjustLightness(darkLightness, candidate => {
+            const color = this.hslToRgb(hue, saturation, candidate);
+            return Math.min(
+                this.contrastRatio(color, backgrounds[0]),
+                this.contrastRatio(color, primaryLight),
+                this.contrastRatio(color, this.hexToRgb(onPrimary.hex))
+            );
+        });
+
+        return {
+            ratio: Math.min(primary.ratio, dark.ratio),
+            adjusted: primary.lightness !== lightness,
+            vars: {
+                '--primary-hue': String(hue),
+                '--primary-saturation': `${saturation}%`,
+                '--primary-lightness': `${primary.lightness}%`,
+                '--primary-dark-lightness': `${dark.lightness}%`,
+                '--on-primary': onPrimary.hex
+            }
+        };
+    }
+
+    /**
+     * Nearest lightness (0-100) whose measured contrast reaches minContrast;
+     * darker is tried first at equal distance
+     */
+    adjustLightness(lightness, measure) {
+        for (let delta = 0; delta <= 100; delta++) {
+            for (const candidate of [lightness - delta, lightness + delta]) {
+                if (candidate < 0 || candidate > 100) continue;
+
+                const ratio = measure(candidate);
+                if (ratio >= this.minContrast) return { lightness: candidate, ratio };
+            }
+        }
+
+        return { lightness, ratio: measure(lightness) };
+    }
+
+    getOnPrimary(rgb) {
+        return this.onPrimaryColors
+            .map(hex => ({ hex, ratio: this.contrastRatio(this.hexToRgb(hex), rgb) }))
+            .reduce((best, candidate) => (candidate.ratio > best.ratio ? candidate : best));
+    }
+
+    /**
+     * WCAG 2 relative luminance of an [r, g, b] color (0-255 channels)
+     */
+    relativeLuminance(rgb) {
+        const [r, g, b] = rgb.map(channel => {
+            const c = channel / 255;
+            return c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+        });
+        return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+    }
+
+    contrastRatio(a, b) {
+        const [lighter, darker] = [this.relativeLuminance(a), this.relativeLuminance(b)].sort((x, y) => y - x);
+        return (lighter + 0.05) / (darker + 0.05);
+    }
+
+    getContrastLevel(ratio) {
+        if (ratio >= 7) return 'AAA';
+        return ratio >= this.minContrast ? 'AA' : null;
+    }
+
+    updateContrastBadge() {
+        const badge = document.getElementById('themeContrast');
+        if (!badge || !this.palettes) return;
+
+        const palette = this.palettes[this.getResolvedMode()];
+        const ratio = Math.floor(palette.ratio * 10) / 10;
+        const level = this.getContrastLevel(palette.ratio);
+
+        let text = level
+            ? window.utils.translate('theme.contrast', `Contrast ${ratio}:1 · ${level}`, { ratio, level })
+            : window.utils.translate('theme.contrastFails', `Contrast ${ratio}:1 · below WCAG AA`, { ratio });
+        if (palette.adjusted) {
+            text += ` · ${window.utils.translate('theme.contrastAdjusted', 'lightness adjusted to meet WCAG AA')}`;
         }
+
+        badge.textContent = text;
+        badge.classList.toggle('pass', Boolean(level));
+        badge.classList.toggle('fail', !level);
     }
 
     setPreset(presetName) {
-        const preset = this.presets[presetName];
-        if (preset) {
-            this.applyTheme(preset.hue);
+        if (this.presets[presetName]) {
+            this.applyTheme(this.getPresetTheme(presetName));
         }
     }
 
-    hslToHex(h, s, l) {
+    /**
+     * The theme fields a preset sets; the others keep their current value
+     */
+    getPresetTheme(presetName) {
+        const { name, ...theme } = this.presets[presetName] || {};
+        return theme;
+    }
+
+    hslToRgb(h, s, l) {
         s /= 100;
         l /= 100;
         const a = s * Math.min(l, 1 - l);
         const f = n => {
             const k = (n + h / 30) % 12;
-            const color = l - a * Math.max(Math.min(k - 3, 9 - k, 1), -1);
-            return Math.round(255 * color).toString(16).padStart(2, '0');
+            return Math.round(255 * (l - a * Math.max(Math.min(k - 3, 9 - k, 1), -1)));
         };
-        return `#${f(0)}${f(8)}${f(4)}`;
+        return [f(0), f(8), f(4)];
+    }
+
+    hslToHex(h, s, l) {
+        return `#${this.hslToRgb(h, s, l).map(channel => channel.toString(16).padStart(2, '0')).join('')}`;
+    }
+
+    hexToRgb(hex) {
+        return [1, 3, 5].map(start => parseInt(hex.slice(start, start + 2), 16));
     }
 
     hexToHsl(hex) {
@@ -94,23 +461,36 @@ class ThemeManager {
             const btn = document.createElement('button');
             btn.className = 'theme-preset';
             btn.setAttribute('data-preset', key);
-            btn.setAttribute('title', preset.name);
-            btn.style.background = `hsl(${preset.hue}, 70%, 50%)`;
-
-            if (preset.hue === this.currentHue) {
-                btn.classList.add('active');
-            }
-
+            btn.setAttribute('aria-label', preset.name);
             btn.addEventListener('click', () => this.setPreset(key));
             container.appendChild(btn);
         });
+
+        this.updatePresetIndicators();
     }
 
+    /**
+     * Each swatch shows its preset as it would be applied: over the current
+     * theme and scheme, after the AA adjustment, and its contrast ratio
+     */
     updatePresetIndicators() {
+        const scheme = this.getResolvedMode();
+
         document.querySelectorAll('.theme-preset').forEach(btn => {
             const presetKey = btn.getAttribute('data-preset');
             const preset = this.presets[presetKey];
-            btn.classList.toggle('active', preset && preset.hue === this.currentHue);
+            if (!preset) return;
+
+            const presetTheme = this.getPresetTheme(presetKey);
+            const preview = this.normalize({ ...this.theme, ...presetTheme });
+            const { hue, saturation, lightness } = preview;
+            const palette = this.getPalette(hue, saturation, lightness, scheme);
+            const ratio = Math.floor(palette.ratio * 10) / 10;
+            const active = Object.keys(presetTheme).every(field => preview[field] === this.theme[field]);
+
+            btn.style.background = `hsl(${hue}, ${saturation}%, ${palette.vars['--primary-lightness']})`;
+            btn.setAttribute('title', `${preset.name} · ${ratio}:1 ${this.getContrastLevel(palette.ratio) || ''}`.trim());
+            btn.classList.toggle('active', active);
         });
     }
 
@@ -143,13 +523,45 @@ class ThemeManager {
         // Color picker
         const picker = document.getElementById('colorPicker');
         if (picker) {
-            picker.value = this.hslToHex(this.currentHue, 70, 50);
             picker.addEventListener('input', (e) => {
                 const hsl = this.hexToHsl(e.target.value);
-                this.applyTheme(hsl.h);
+                this.applyTheme({ hue: hsl.h, saturation: hsl.s, lightness: hsl.l });
             });
         }
 
+        // Saturation and lightness sliders
+        const saturation = document.getElementById('themeSaturation');
+        if (saturation) {
+            saturation.addEventListener('input', (e) => {
+                this.applyTheme({ saturation: parseInt(e.target.value) });
+            });
+        }
+
+        const lightness = document.getElementById('themeLightness');
+        if (lightness) {
+            lightness.addEventListener('input', (e) => {
+                this.applyTheme({ lightness: parseInt(e.target.value) });
+            });
+        }
+
+        // Text size (reading preferences)
+        const fontScale = document.getElementById('themeFontScale');
+        if (fontScale) {
+            fontScale.addEventListener('input', (e) => {
+                this.applyTheme({ fontScale: parseInt(e.target.value) / 100 });
+            });
+        }
+
+        // Light / dark / system buttons
+        document.querySelectorAll('#themeModes .theme-mode').forEach(btn => {
+            btn.addEventListener('click', () => this.applyMode(btn.getAttribute('data-mode')));
+        });
+
+        // Follow the OS scheme while in system mode
+        this.colorSchemeQuery.addEventListener('change', () => {
+            if (this.theme.scheme === 'system') this.applyScheme();
+        });
+
         // Close panel when clicking outside
         document.addEventListener('click', (e) => {
             const panel = document.getElementById('themePanel');
@@ -165,19 +577,82 @@ class ThemeManager {
         // Reset button
         const resetBtn = document.getElementById('themeReset');
         if (resetBtn) {
-            resetBtn.addEventListener('click', () => {
-                this.applyTheme(220); // Default academic blue
+            resetBtn.addEventListener('click', () => this.resetTheme());
+        }
+
+        // Export as a link or JSON, import either back
+        const copyLinkBtn = document.getElementById('themeCopyLink');
+        if (copyLinkBtn) {
+            copyLinkBtn.addEventListener('click', () => this.exportTheme(this.getShareUrl()));
+        }
+
+        const copyJsonBtn = document.getElementById('themeCopyJson');
+        if (copyJsonBtn) {
+            copyJsonBtn.addEventListener('click', () => this.exportTheme(this.serialize()));
+        }
+
+        const importForm = document.getElementById('themeImport');
+        if (importForm) {
+            importForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.importTheme(importForm.elements.themeImportInput);
             });
         }
     }
+
+    async exportTheme(text) {
+        try {
+            await window.utils.copyToClipboard(text);
+            this.showShareStatus(window.utils.translate('theme.copied', 'Copied to clipboard'));
+        } catch (error) {
+            // Leave it in the import field to copy by hand
+            console.error('Failed to copy theme:', error);
+            const input = document.getElementById('themeImportInput');
+            if (input) {
+                input.value = text;
+                input.select();
+            }
+        }
+    }
+
+    importTheme(input) {
+        const theme = this.parse(input.value);
+        if (!theme) {
+            this.showShareStatus(window.utils.translate('theme.importFailed', 'Not a theme link or JSON'), true);
+            return;
+        }
+
+        this.applyTheme(theme);
+        input.value = '';
+        this.showShareStatus(window.utils.translate('theme.imported', 'Theme imported'));
+    }
+
+    showShareStatus(message, isError = false) {
+        const status = document.getElementById('themeShareStatus');
+        if (!status) return;
+
+        status.textContent = message;
+        status.classList.toggle('error', isError);
+        clearTimeout(this.shareStatusTimer);
+        this.shareStatusTimer = setTimeout(() => {
+            status.textContent = '';
+        }, 3000);
+    }
 }
 
-// Create and export singleton
-const themeManager = new ThemeManager();
+if (typeof document !== 'undefined') {
+    // Create and export singleton
+    const themeManager = new ThemeManager();
+
+    // Initialize on DOM ready
+    document.addEventListener('DOMContentLoaded', () => {
+        themeManager.init();
+    });
 
-// Initialize on DOM ready
-document.addEventListener('DOMContentLoaded', () => {
-    themeManager.init();
-});
+    window.themeManager = themeManager;
+}
 
-window.themeManager = themeManager;
+// scripts/validate-data.js measures the presets with the same contrast math
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ThemeManager };
+}
@@ -0,0 +1,188 @@
+/**
+ * Table of Contents Module
+ * Navigation aids for long blog posts: a table of contents built from the
+ * post's h2/h3 headings, copyable heading anchors, the current section
+ * highlighted while scrolling, and a reading progress bar under the navbar
+ */
+
+class TableOfContents {
+    constructor() {
+        this.headings = [];
+        this.links = new Map();
+        this.container = null;
+        this.scrolledToHash = false;
+        this.ticking = false;
+
+        // Below this many headings the post is short enough without a table
+        this.minHeadings = 2;
+    }
+
+    init() {
+        window.addEventListener('scroll', () => this.requestUpdate(), { passive: true });
+        window.addEventListener('resize', () => this.requestUpdate());
+
+        // js/router.js swapped the post out
+        document.addEventListener('router:unload', () => {
+            this.container = null;
+            this.headings = [];
+            this.links.clear();
+            this.scrolledToHash = false;
+        });
+    }
+
+    /**
+     * Add anchors and (re)build the table for the post in container
+     */
+    build(container) {
+        this.container = container;
+        this.headings = Array.from(container.querySelectorAll('h2, h3'));
+        this.links.clear();
+
+        const usedIds = new Set(Array.from(document.querySelectorAll('[id]'), element => element.id));
+        const items = this.headings.map(heading => {
+            const text = heading.textContent.trim();
+            if (!heading.id) heading.id = this.uniqueId(text, usedIds);
+            this.addAnchor(heading);
+            return { id: heading.id, text, level: heading.tagName === 'H3' ? 3 : 2 };
+        });
+
+        this.renderList(items);
+        this.update();
+
+        // Content arrives after load, so the browser could not jump to #section
+        if (!this.scrolledToHash) {
+            this.scrolledToHash = true;
+            const target = window.utils.getHashTarget(window.location.hash);
+            if (target) window.utils.scrollToTarget(target, 'auto');
+        }
+    }
+
+    renderList(items) {
+        const toc = document.getElementById('postToc');
+        const list = document.getElementById('postTocList');
+        if (!toc || !list) return;
+
+        list.innerHTML = '';
+        items.forEach(item => {
+            const li = document.createElement('li');
+            li.className = `post-toc-item level-${item.level}`;
+
+            const link = document.createElement('a');
+            link.href = `#${encodeURIComponent(item.id)}`;
+            link.textContent = item.text;
+
+            li.appendChild(link);
+            list.appendChild(li);
+            this.links.set(item.id, link);
+        });
+
+        toc.hidden = items.length < this.minHeadings;
+    }
+
+    addAnchor(heading) {
+        if (heading.querySelector('.heading-anchor')) return;
+
+        const label = window.utils.translate('blog.copySectionLink', 'Copy link to this section');
+        const anchor = document.createElement('a');
+        anchor.className = 'heading-anchor';
+        anchor.href = `#${encodeURIComponent(heading.id)}`;
+        anchor.textContent = '#';
+        anchor.setAttribute('aria-label', label);
+        anchor.title = label;
+        anchor.addEventListener('click', () => this.copyLink(anchor, heading.id));
+        heading.appendChild(anchor);
+    }
+
+    async copyLink(anchor, id) {
+        const url = new URL(window.location.href);
+        url.hash = id;
+
+        try {
+            await window.utils.copyToClipboard(url.href);
+            anchor.classList.add('copied');
+            anchor.title = window.utils.translate('blog.linkCopied', 'Link copied');
+        } catch (error) {
+            console.error('Failed to copy section link:', error);
+        }
+
+        setTimeout(() => {
+            anchor.classList.remove('copied');
+            anchor.title = anchor.getAttribute('aria-label');
+        }, 2000);
+    }
+
+    requestUpdate() {
+        if (this.ticking) return;
+
+        this.ticking = true;
+        requestAnimationFrame(() => {
+            this.ticking = false;
+            this.update();
+        });
+    }
+
+    update() {
+        if (!this.container) return;
+
+        const offset = window.utils.getNavOffset();
+        this.updateActive(offset);
+        this.updateProgress(offset);
+    }
+
+    /**
+     * Current section: the last heading scrolled up to the navbar
+     */
+    updateActive(offset) {
+        const threshold = offset + 24;
+        const current = this.headings
+            .filter(heading => heading.getBoundingClientRect().top <= threshold)
+            .pop() || this.headings[0];
+
+        this.links.forEach((link, id) => {
+            const active = Boolean(current) && current.id === id;
+            link.classList.toggle('active', active);
+            if (active) {
+                link.setAttribute('aria-current', 'location');
+            } else {
+                link.removeAttribute('aria-current');
+            }
+        });
+    }
+
+    updateProgress(offset) {
+        const bar = document.getElementById('readingProgress');
+        if (!bar) return;
+
+        const rect = this.container.getBoundingClientRect();
+        const scrollable = rect.height - (window.innerHeight - offset);
+        const progress = scrollable > 0 ? (offset - rect.top) / scrollable : 1;
+        bar.style.transform = `scaleX(${Math.min(1, Math.max(0, progress))})`;
+    }
+
+    /**
+     * Id for a heading without one, e.g. in an HTML post
+     */
+    uniqueId(text, usedIds) {
+        const base = window.markdown?.slugify(text) || 'section';
+        let id = base;
+        for (let n = 2; usedIds.has(id); n++) {
+            id = `${base}-${n}`;
+        }
+        usedIds.add(id);
+        return id;
+    }
+}
+
+// Create and export singleton
+const tableOfContents = new TableOfContents();
+
+// Initialize on DOM ready, or right away when js/router.js loads this later
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => {
+        tableOfContents.init();
+    });
+} else {
+    tableOfContents.init();
+}
+
+window.tableOfContents = tableOfContents;
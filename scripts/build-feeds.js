@@ -0,0 +1,134 @@
+/**
+ * Feed Generator
+ * Writes per-language RSS 2.0 and Atom feeds of the published blog posts
+ *
+ * Usage: node scripts/build-feeds.js
+ * Output: feeds/rss-<lang>.xml and feeds/atom-<lang>.xml
+ */
+
+const { readJson, writeFile, loadBlog, loadPostHtml, getLanguages } = require('./site-data');
+const { getBlogUrl, getPostUrl, getLocalized, isPostPublished } = require('../js/main.js');
+const { i18n } = require('../js/i18n.js');
+
+function escapeXml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/**
+ * Feed readers resolve nothing relative to the page, so make links absolute
+ */
+function absolutizeUrls(html, baseUrl) {
+    return html.replace(/(\s(?:src|href))="(?!https?:|mailto:|data:|#|\/\/)([^"]*)"/g,
+        (match, attribute, url) => `${attribute}="${baseUrl}/${url.replace(/^\.?\//, '')}"`);
+}
+
+// Prerendered post pages (scripts/prerender.js)
+function postUrl(baseUrl, post, lang) {
+    return `${baseUrl}/${getPostUrl(post.id, lang)}`;
+}
+
+async function buildEntries(posts, categories, lang, baseUrl) {
+    return Promise.all(posts.map(async post => ({
+        post,
+        url: postUrl(baseUrl, post, lang),
+        title: getLocalized(post.title, lang, i18n) || post.id,
+        summary: getLocalized(post.excerpt, lang, i18n),
+        category: { term: post.category, label: getLocalized(categories, lang, i18n)?.[post.category] || post.category },
+        date: new Date(post.date),
+        html: absolutizeUrls(await loadPostHtml(post, lang), baseUrl)
+    })));
+}
+
+function buildRss(feed, entries) {
+    const items = entries.map(entry => `    <item>
+      <title>${escapeXml(entry.title)}</title>
+      <link>${escapeXml(entry.url)}</link>
+      <guid isPermaLink="false">${escapeXml(`${entry.post.id}-${feed.lang}`)}</guid>
+      <pubDate>${entry.date.toUTCString()}</pubDate>
+      <dc:creator>${escapeXml(entry.post.author || feed.author)}</dc:creator>
+      <category>${escapeXml(entry.category.label)}</category>
+      <description>${escapeXml(entry.summary)}</description>
+      <content:encoded>${escapeXml(entry.html)}</content:encoded>
+    </item>`);
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel>
+    <title>${escapeXml(feed.title)}</title>
+    <link>${escapeXml(feed.link)}</link>
+    <description>${escapeXml(feed.description)}</description>
+    <language>${feed.lang}</language>
+    <lastBuildDate>${feed.updated.toUTCString()}</lastBuildDate>
+    <atom:link href="${escapeXml(feed.rssUrl)}" rel="self" type="application/rss+xml"/>
+${items.join('\n')}
+  </channel>
+</rss>
+`;
+}
+
+function buildAtom(feed, entries) {
+    const items = entries.map(entry => `  <entry>
+    <title>${escapeXml(entry.title)}</title>
+    <link rel="alternate" type="text/html" href="${escapeXml(entry.url)}"/>
+    <id>${escapeXml(entry.url)}</id>
+    <published>${entry.date.toISOString()}</published>
+    <updated>${entry.date.toISOString()}</updated>
+    <author><name>${escapeXml(entry.post.author || feed.author)}</name></author>
+    <category term="${escapeXml(entry.category.term)}" label="${escapeXml(entry.category.label)}"/>
+    <summary>${escapeXml(entry.summary)}</summary>
+    <content type="html">${escapeXml(entry.html)}</content>
+  </entry>`);
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${feed.lang}">
+  <title>${escapeXml(feed.title)}</title>
+  <subtitle>${escapeXml(feed.description)}</subtitle>
+  <link rel="alternate" type="text/html" href="${escapeXml(feed.link)}"/>
+  <link rel="self" type="application/atom+xml" href="${escapeXml(feed.atomUrl)}"/>
+  <id>${escapeXml(feed.atomUrl)}</id>
+  <updated>${feed.updated.toISOString()}</updated>
+  <author><name>${escapeXml(feed.author)}</name></author>
+${items.join('\n')}
+</feed>
+`;
+}
+
+async function main() {
+    const config = readJson('data/config.json');
+    const baseUrl = config.site.url.replace(/\/$/, '');
+    const blog = await loadBlog();
+    i18n.translations = readJson('data/translations.json');
+
+    const posts = blog.posts
+        .filter(post => isPostPublished(post))
+        .sort((a, b) => new Date(b.date) - new Date(a.date));
+
+    for (const lang of getLanguages()) {
+        const entries = await buildEntries(posts, blog.categories, lang, baseUrl);
+        const feed = {
+            lang,
+            title: `${i18n.translate('blog.pageTitle', null, lang)} | ${config.profile.name}`,
+            description: i18n.translate('blog.pageSubtitle', null, lang),
+            author: config.profile.name,
+            link: `${baseUrl}/${getBlogUrl(lang)}`,
+            rssUrl: `${baseUrl}/feeds/rss-${lang}.xml`,
+            atomUrl: `${baseUrl}/feeds/atom-${lang}.xml`,
+            // Stable output: the feed changes only when the newest post does
+            updated: entries.length > 0 ? entries[0].date : new Date(0)
+        };
+
+        writeFile(`feeds/rss-${lang}.xml`, buildRss(feed, entries));
+        writeFile(`feeds/atom-${lang}.xml`, buildAtom(feed, entries));
+        console.log(`Wrote feeds/rss-${lang}.xml and feeds/atom-${lang}.xml (${entries.length} posts)`);
+    }
+}
+
+main().catch(error => {
+    console.error('Failed to build feeds:', error);
+    process.exit(1);
+});
@@ -0,0 +1,421 @@
+/**
+ * Prerenderer
+ * Writes static HTML for every page and every blog post in every language, so
+ * crawlers and readers without JavaScript get real content. The markup comes
+ * from the same builders the browser uses (BlogManager.createPostCard,
+ * ResearchManager.createResearchCard, BlogPostViewer); at runtime
+ * utils.renderHtml() leaves matching prerendered markup in place.
+ *
+ * Usage: node scripts/prerender.js
+ * Output:
+ *   index.html, blog.html, research.html, cv.html   default language, filled in place
+ *   <lang>/<page>.html                              other languages
+ *   blog/<id>.html, <lang>/blog/<id>.html           one page per published post; scheduled
+ *                                                   posts get an empty page that loads them
+ *                                                   at runtime once they go live
+ *   blog/tag/<slug>.html, blog/category/<key>.html  landing page of each tag and category in
+ *                                                   use, under <lang>/ too; tag slugs are in
+ *                                                   the page's language
+ *   data/blog-index.json                            blog-posts.json with each post's front
+ *                                                   matter merged in, read by the blog pages
+ */
+
+// The browser modules read their collaborators from window
+global.window = {};
+
+const { safeHtml } = require('../js/safe-html.js');
+const utils = require('../js/main.js');
+const { i18n } = require('../js/i18n.js');
+const { configManager } = require('../js/config.js');
+require('../js/citations.js');
+const { seo } = require('../js/seo.js');
+const { BlogManager } = require('../js/blog.js');
+const { ResearchManager } = require('../js/research.js');
+const { BlogPostViewer } = require('../js/blog-post.js');
+const { ROOT, BLOG_INDEX, readJson, writeFile, loadBlog, renderBlogIndex, loadPostHtml, getLanguages } = require('./site-data');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_LANG = 'en';
+const PAGES = ['index.html', 'blog.html', 'research.html', 'cv.html'];
+const PAGE_TITLES = { 'blog.html': 'nav.blog', 'research.html': 'nav.research', 'cv.html': 'nav.cv' };
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Set (or with null, remove) an attribute on an opening tag
+ */
+function setAttribute(openTag, name, value) {
+    const existing = new RegExp(`\\s${escapeRegExp(name)}(?:="[^"]*")?(?=[\\s/>])`);
+    if (value === null || value === false) return openTag.replace(existing, '');
+
+    const attribute = value === true ? ` ${name}` : ` ${name}="${safeHtml.escape(value)}"`;
+    if (existing.test(openTag)) return openTag.replace(existing, attribute);
+    return openTag.replace(/\s*(\/?)>$/, `${attribute}$1>`);
+}
+
+/**
+ * Apply fn to the opening tag of every element carrying an attribute
+ */
+function updateTags(html, attributePattern, fn) {
+    const pattern = new RegExp(`<[a-zA-Z][\\w-]*\\b[^>]*\\s${attributePattern}[^>]*>`, 'g');
+    return html.replace(pattern, openTag => fn(openTag, openTag.match(new RegExp(attributePattern))));
+}
+
+/**
+ * Locate the first element (from the given offset on) with the given
+ * attribute (e.g. 'id="blogGrid"') and its matching closing tag
+ */
+function findElement(html, attribute, from = 0) {
+    const pattern = new RegExp(`<([a-zA-Z][\\w-]*)\\b[^>]*\\s${escapeRegExp(attribute)}[^>]*>`, 'g');
+    pattern.lastIndex = from;
+    const open = pattern.exec(html);
+    if (!open) return null;
+
+    const tags = new RegExp(`<(/?)${open[1]}\\b[^>]*>`, 'gi');
+    tags.lastIndex = open.index + open[0].length;
+
+    let depth = 1;
+    let match;
+    while ((match = tags.exec(html)) !== null) {
+        depth += match[1] ? -1 : 1;
+        if (depth === 0) {
+            return { start: open.index, openTag: open[0], contentEnd: match.index };
+        }
+    }
+    throw new Error(`Unclosed <${open[1]}> with ${attribute}`);
+}
+
+/**
+ * Replace an element's content. Markup is marked with its hash so the
+ * runtime render can recognize it; plain text is not.
+ */
+function fillElement(html, attribute, content, { text = false, attributes = {} } = {}) {
+    const element = findElement(html, attribute);
+    if (!element) throw new Error(`No element with ${attribute}`);
+
+    let openTag = setAttribute(element.openTag, 'data-prerendered', text ? null : utils.hashString(content));
+    Object.entries(attributes).forEach(([name, value]) => {
+        openTag = setAttribute(openTag, name, value);
+    });
+
+    return html.slice(0, element.start) + openTag + (text ? safeHtml.escape(content) : content) + html.slice(element.contentEnd);
+}
+
+/**
+ * data-i18n-params of an opening tag, as I18n.getParams() reads it
+ */
+function getParams(openTag) {
+    const match = openTag.match(/\sdata-i18n-params=(?:'([^']*)'|"([^"]*)")/);
+    if (!match) return null;
+
+    const json = match[1] ?? match[2].replace(/&quot;/g, '"').replace(/&amp;/g, '&');
+    return JSON.parse(json);
+}
+
+/**
+ * Static counterpart of I18n.applyTranslations()
+ */
+function translatePage(html, lang) {
+    html = html.replace(/<([a-zA-Z][\w-]*)([^>]*\sdata-i18n="([^"]+)"[^>]*)>([^<]*)<\/\1>/g,
+        (match, tag, attributes, key) => {
+            const translation = i18n.translate(key, getParams(attributes));
+            return translation === key ? match : `<${tag}${attributes}>${safeHtml.escape(translation)}</${tag}>`;
+        });
+
+    // Rich text may contain elements of its own, so match the closing tag properly
+    let element = findElement(html, 'data-i18n-html=');
+    while (element) {
+        const key = element.openTag.match(/\sdata-i18n-html="([^"]+)"/)[1];
+        const contentStart = element.start + element.openTag.length;
+        html = html.slice(0, contentStart) + i18n.translateHtml(key, getParams(element.openTag)) + html.slice(element.contentEnd);
+        element = findElement(html, 'data-i18n-html=', contentStart);
+    }
+
+    html = updateTags(html, 'data-i18n="([^"]+)"', (openTag, [, key]) =>
+        openTag.startsWith('<input') ? setAttribute(openTag, 'placeholder', i18n.translate(key)) : openTag);
+    html = updateTags(html, 'data-i18n-title="([^"]+)"', (openTag, [, key]) =>
+        setAttribute(openTag, 'title', i18n.translate(key)));
+    html = updateTags(html, 'data-i18n-attr="([^"]+)"', (openTag, [, bindings]) =>
+        i18n.parseAttrBindings(bindings).reduce(
+            (tag, [attribute, key]) => setAttribute(tag, attribute, i18n.translate(key, getParams(openTag))),
+            openTag));
+    html = html.replace(/(<div class="lang-toggle">)\r?\n([ \t]*)[\s\S]*?(\r?\n[ \t]*<\/div>)/g,
+        (match, open, indent, close) =>
+            open + i18n.getLangButtonsHtml(lang).map(button => `\n${indent}${button}`).join('') + close);
+
+    return html.replace(/<html lang="[^"]*"/, `<html lang="${lang}"`);
+}
+
+/**
+ * Feed discovery links for every language, e.g. "Blog (Português) - RSS"
+ */
+function renderFeedLinks(html) {
+    return html.replace(/(\r?\n([ \t]*))<link rel="alternate" type="application\/(?:rss|atom)\+xml"[^>]*>(?:\r?\n[ \t]*<link rel="alternate" type="application\/(?:rss|atom)\+xml"[^>]*>)*/,
+        (match, lineStart, indent) => i18n.getLanguages().flatMap(code => [
+            `<link rel="alternate" type="application/rss+xml" title="Blog (${safeHtml.escape(i18n.getLanguageName(code))}) - RSS" href="feeds/rss-${code}.xml">`,
+            `<link rel="alternate" type="application/atom+xml" title="Blog (${safeHtml.escape(i18n.getLanguageName(code))}) - Atom" href="feeds/atom-${code}.xml">`
+        ]).map(link => `\n${indent}${link}`).join(''));
+}
+
+/**
+ * Static counterpart of ConfigManager.applySocialLinks() / applyProfileInfo()
+ */
+function applyConfig(html, config) {
+    html = updateTags(html, 'data-social(?:-text)?="([^"]+)"', (openTag, [, platform]) =>
+        config.social[platform] ? setAttribute(openTag, 'href', config.social[platform]) : openTag);
+    html = updateTags(html, 'data-cv-download', openTag => setAttribute(openTag, 'href', config.cv.pdfPath));
+
+    return html.replace(/(<[a-zA-Z][\w-]*[^>]*\sdata-profile="name"[^>]*>)[^<]*(<\/)/g,
+        (match, openTag, close) => `${openTag}${safeHtml.escape(config.profile.name)}${close}`);
+}
+
+/**
+ * Pages outside the site root resolve their assets and data through <base>;
+ * other languages link to their own copies of the pages
+ */
+function localizePaths(html, lang, depth) {
+    if (depth > 0) {
+        html = html.replace(/<base [^>]*>\s*/, '')
+            .replace(/(<meta charset="[^"]*">)(\s*)/i, `$1$2<base href="${'../'.repeat(depth)}">$2`);
+    }
+
+    if (lang !== DEFAULT_LANG) {
+        html = html.replace(/(\shref=")((?:index|research|cv|blog)\.html)/g, `$1${lang}/$2`);
+    }
+
+    return updateTags(html, 'data-feed="([^"]+)"', (openTag, [, feed]) =>
+        setAttribute(openTag, 'href', `feeds/${feed}-${lang}.xml`));
+}
+
+/**
+ * Insert markup at the end of <head>, matching the indentation of its children
+ */
+function appendToHead(html, lines) {
+    const indent = (html.match(/\n([ \t]*)<\/head>/) || [, ''])[1];
+    const childIndent = (html.match(/\n([ \t]*)<meta charset/) || [, `${indent}    `])[1];
+    return html.replace(/\n([ \t]*)<\/head>/,
+        lines.map(line => `\n${childIndent}${line}`).join('') + '\n$1</head>');
+}
+
+/**
+ * Replace (or add) the canonical and hreflang links in <head>
+ */
+function setPageLinks(html, lines) {
+    html = html.replace(/\r?\n[ \t]*<link rel="(?:canonical|alternate" hreflang="[^"]*)"[^>]*>/g, '');
+    return appendToHead(html, lines);
+}
+
+/**
+ * Replace (or add) a JSON-LD block in <head>
+ */
+function setJsonLd(html, id, data) {
+    html = html.replace(new RegExp(`\\r?\\n[ \\t]*<script type="application/ld\\+json" id="${id}">[\\s\\S]*?</script>`), '');
+    return appendToHead(html, [`<script type="application/ld+json" id="${id}">\n${seo.serializeJsonLd(data)}\n</script>`]);
+}
+
+/**
+ * blog.html, or with landing ({ tag } or { category }) a tag or category page
+ */
+function renderBlogPage(html, blog, lang, landing = null) {
+    const manager = new BlogManager();
+    manager.posts = blog.posts;
+    manager.categories = blog.categories;
+    manager.tags = blog.tags;
+
+    if (landing) {
+        manager.setLanding(landing);
+        const { title, subtitle } = manager.getHeading(lang);
+        const [type, value] = Object.entries(landing)[0];
+
+        html = html.replace(/<title>[^<|]*\|/, `<title>${safeHtml.escape(title)} |`);
+        html = html.replace(/<meta name="description"[^>]*>/, match =>
+            setAttribute(setAttribute(match, 'data-i18n-attr', null), 'content', `${title} · ${subtitle}`));
+        html = html.replace(/<body[^>]*>/, match => setAttribute(match, `data-blog-${type}`, value));
+        html = fillElement(html, 'id="blogTitle"', title, { text: true, attributes: { 'data-i18n': null } });
+        html = fillElement(html, 'id="blogSubtitle"', subtitle, { text: true, attributes: { 'data-i18n': null } });
+    }
+
+    html = fillElement(html, 'id="blogGrid"', manager.getPostsHtml(lang));
+    html = fillElement(html, 'id="categoryList"', manager.getCategoriesHtml(lang));
+    html = fillElement(html, 'id="tagCloud"', manager.getTagsHtml(lang));
+    html = fillElement(html, 'id="archiveList"', manager.getArchiveHtml(lang));
+    return fillElement(html, 'id="blogPagination"', manager.getPaginationHtml());
+}
+
+/**
+ * Landing pages of the tags and categories of published posts
+ */
+function getLandingPages(blog) {
+    const tags = new Set(blog.posts.flatMap(post => post.tags || []));
+    const categories = new Set(blog.posts.map(post => post.category));
+
+    return [
+        ...Array.from(tags, tag => ({
+            landing: { tag },
+            urlFor: lang => utils.getTagUrl(blog.tags, tag, lang)
+        })),
+        ...Array.from(categories, category => ({
+            landing: { category },
+            urlFor: lang => utils.getCategoryUrl(category, lang)
+        }))
+    ];
+}
+
+function renderResearchPage(html, research, lang) {
+    const manager = new ResearchManager();
+    manager.data = research;
+
+    const lists = {
+        publicationsList: ['publications', 'published'],
+        workingPapersList: ['working_papers', 'working'],
+        worksInProgressList: ['works_in_progress', 'progress']
+    };
+
+    Object.entries(lists).forEach(([id, [section, statusType]]) => {
+        const items = research[section] || [];
+        html = fillElement(html, `id="${id}"`, manager.getListHtml(items, statusType, lang));
+        html = fillElement(html, `data-section="${section}"`, manager.getExportHtml(), {
+            attributes: { hidden: items.length === 0 }
+        });
+        html = fillElement(html, `data-tab-count="${section}"`, String(items.length), { text: true });
+    });
+
+    html = fillElement(html, 'id="researchTopic"', manager.getTopicOptionsHtml(lang), {
+        attributes: { hidden: manager.getUsedJelCodes().length === 0 }
+    });
+    html = fillElement(html, 'id="researchCoauthor"', manager.getCoauthorOptionsHtml(), {
+        attributes: { hidden: manager.getCoauthors().length === 0 }
+    });
+
+    return setJsonLd(html, 'researchJsonLd', seo.getResearchJsonLd(research, lang, seo.getSiteUrl(configManager.getConfig())));
+}
+
+async function renderPostPage(html, post, blog, lang) {
+    const viewer = new BlogPostViewer();
+    viewer.posts = blog.posts;
+    viewer.categories = blog.categories;
+    viewer.tags = blog.tags;
+    viewer.series = blog.series || {};
+
+    html = html.replace(/<title>[^<]*<\/title>/, `<title>${safeHtml.escape(viewer.getDocumentTitle(post, lang))}</title>`);
+    html = html.replace(/(<meta name="description" content=")[^"]*(")/, `$1${safeHtml.escape(utils.getLocalized(post.excerpt, lang))}$2`);
+    html = html.replace(/<body[^>]*>/, match => setAttribute(match, 'data-post-id', post.id));
+
+    const config = configManager.getConfig();
+    const meta = seo.getPostMeta(post, lang, {
+        siteUrl: seo.getSiteUrl(config),
+        categories: blog.categories,
+        tags: blog.tags,
+        config
+    });
+    html = appendToHead(html, seo.renderPostHead(meta));
+
+    html = fillElement(html, 'id="postTitle"', utils.getLocalized(post.title, lang), { text: true });
+    html = fillElement(html, 'id="postDate"', viewer.getDate(post, lang), { text: true });
+    html = fillElement(html, 'id="postReadingTime"', viewer.getReadingTime(post, lang), { text: true });
+    html = fillElement(html, 'id="postCategory"', viewer.getCategoryHtml(post, lang));
+    html = fillElement(html, 'id="postTags"', viewer.getTagsHtml(post, lang));
+
+    const sections = {
+        postSeries: viewer.getSeriesHtml(post, lang),
+        postAdjacent: viewer.getAdjacentHtml(post, lang),
+        relatedPosts: viewer.getRelatedHtml(post, lang)
+    };
+    Object.entries(sections).forEach(([id, sectionHtml]) => {
+        html = fillElement(html, `id="${id}"`, sectionHtml, { attributes: { hidden: !sectionHtml } });
+    });
+    return fillElement(html, 'id="postContent"', await loadPostHtml(post, lang));
+}
+
+/**
+ * Page of a post that is not live yet: no content or metadata, and kept out
+ * of search results until a rebuild fills it in
+ */
+function renderScheduledPage(html, post) {
+    html = html.replace(/<body[^>]*>/, match => setAttribute(match, 'data-post-id', post.id));
+    return appendToHead(html, ['<meta name="robots" content="noindex">']);
+}
+
+function readPage(relativePath) {
+    return fs.readFileSync(path.join(ROOT, relativePath), 'utf8');
+}
+
+/**
+ * Write with the line endings of the page template
+ */
+function writePage(relativePath, html, template) {
+    const eol = template.includes('\r\n') ? '\r\n' : '\n';
+    writeFile(relativePath, html.replace(/\r?\n/g, eol));
+}
+
+async function main() {
+    const config = readJson('data/config.json');
+    configManager.config = config;
+    const siteUrl = seo.getSiteUrl(config);
+    const research = readJson('data/research.json');
+    const blog = await loadBlog();
+    writeFile(BLOG_INDEX, renderBlogIndex(blog));
+    const scheduled = blog.posts.filter(post => utils.getPostStatus(post) === 'scheduled');
+    blog.posts = blog.posts.filter(post => utils.isPostPublished(post));
+
+    i18n.translations = readJson('data/translations.json');
+    const templates = Object.fromEntries(
+        [...PAGES, 'blog-post.html'].map(page => [page, readPage(page)])
+    );
+    const landingPages = getLandingPages(blog);
+
+    let count = 0;
+    for (const lang of getLanguages()) {
+        i18n.currentLang = lang;
+        const prefix = lang === DEFAULT_LANG ? '' : `${lang}/`;
+        const depth = prefix ? 1 : 0;
+
+        for (const page of PAGES) {
+            const template = templates[page];
+            let html = applyConfig(renderFeedLinks(translatePage(template, lang)), config);
+
+            if (PAGE_TITLES[page]) {
+                html = html.replace(/<title>[^<|]*\|/, `<title>${safeHtml.escape(i18n.translate(PAGE_TITLES[page]))} |`);
+            }
+            if (page === 'blog.html') html = renderBlogPage(html, blog, lang);
+            if (page === 'research.html') html = renderResearchPage(html, research, lang);
+            html = setPageLinks(html, seo.renderLinks(seo.getPageMeta(page, lang, getLanguages(), siteUrl)));
+
+            writePage(`${prefix}${page}`, localizePaths(html, lang, depth), template);
+            count++;
+        }
+
+        const blogTemplate = applyConfig(renderFeedLinks(translatePage(templates['blog.html'], lang)), config);
+        for (const { landing, urlFor } of landingPages) {
+            let html = renderBlogPage(blogTemplate, blog, lang, landing);
+            html = setPageLinks(html, seo.renderLinks({
+                canonical: seo.absolute(urlFor(lang), siteUrl),
+                alternates: getLanguages().map(code => ({ lang: code, url: seo.absolute(urlFor(code), siteUrl) }))
+            }));
+            writePage(urlFor(lang), localizePaths(html, lang, depth + 2), templates['blog.html']);
+            count++;
+        }
+
+        const postTemplate = applyConfig(renderFeedLinks(translatePage(templates['blog-post.html'], lang)), config);
+        for (const post of blog.posts) {
+            const html = await renderPostPage(postTemplate, post, blog, lang);
+            writePage(utils.getPostUrl(post.id, lang), localizePaths(html, lang, depth + 1), templates['blog-post.html']);
+            count++;
+        }
+        for (const post of scheduled) {
+            const html = renderScheduledPage(postTemplate, post);
+            writePage(utils.getPostUrl(post.id, lang), localizePaths(html, lang, depth + 1), templates['blog-post.html']);
+            count++;
+        }
+    }
+
+    console.log(`Prerendered ${count} pages (${blog.posts.length} posts, ${getLanguages().join(', ')})`);
+}
+
+main().catch(error => {
+    console.error('Failed to prerender:', error);
+    process.exit(1);
+});
@@ -0,0 +1,86 @@
+/**
+ * Site Data Module
+ * Shared helpers for build scripts: reads the JSON data files and post sources from disk
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { markdown } = require('../js/markdown.js');
+const { safeHtml } = require('../js/safe-html.js');
+const { hashString } = require('../js/main.js');
+
+const ROOT = path.resolve(__dirname, '..');
+
+// Blog posts with their front matter merged in, written by scripts/prerender.js
+// so the pages need not fetch every post's Markdown
+const BLOG_INDEX = 'data/blog-index.json';
+
+// Post sources are read from the repository instead of fetched over HTTP
+markdown.readSource = async (sourcePath) => fs.promises.readFile(path.join(ROOT, sourcePath), 'utf8');
+
+function readJson(relativePath) {
+    return JSON.parse(fs.readFileSync(path.join(ROOT, relativePath), 'utf8'));
+}
+
+function writeFile(relativePath, content) {
+    const target = path.join(ROOT, relativePath);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, content);
+}
+
+/**
+ * Load blog-posts.json with Markdown front matter merged into each post
+ */
+async function loadBlog() {
+    const data = readJson('data/blog-posts.json');
+    data.posts = await Promise.all(data.posts.map(post => markdown.hydratePost(post)));
+    return data;
+}
+
+/**
+ * Contents of BLOG_INDEX for a loadBlog() result, formatted like the
+ * hand-edited data files. "version" hashes the post sources, so an edit to a
+ * post's text changes the index too and sw.js offers the update.
+ */
+function renderBlogIndex(blog) {
+    const source = fs.readFileSync(path.join(ROOT, 'data/blog-posts.json'), 'utf8');
+    const eol = source.includes('\r\n') ? '\r\n' : '\n';
+    const texts = blog.posts
+        .flatMap(post => Object.values(post.content || {}))
+        .map(sourcePath => path.join(ROOT, sourcePath))
+        .map(file => (fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : ''));
+    const index = { version: hashString(texts.join('\n')), ...blog };
+    return JSON.stringify(index, null, 4).replace(/\n/g, eol);
+}
+
+/**
+ * Rendered HTML of a post in one language (Markdown or HTML fragment),
+ * sanitized as BlogPostViewer.loadContent() does in the browser
+ */
+async function loadPostHtml(post, lang) {
+    const sourcePath = post.content?.[lang] || post.content?.en;
+    if (!sourcePath) return '';
+
+    const html = markdown.isMarkdownPath(sourcePath)
+        ? (await markdown.fetchDocument(sourcePath)).html
+        : await fs.promises.readFile(path.join(ROOT, sourcePath), 'utf8');
+    return safeHtml.sanitize(html);
+}
+
+/**
+ * Languages present in translations.json
+ */
+function getLanguages() {
+    return Object.keys(readJson('data/translations.json'));
+}
+
+module.exports = {
+    ROOT,
+    BLOG_INDEX,
+    readJson,
+    writeFile,
+    loadBlog,
+    renderBlogIndex,
+    loadPostHtml,
+    getLanguages
+};
@@ -0,0 +1,488 @@
+/**
+ * Data Validator
+ * Checks the hand-edited JSON data files against data/schemas and against each other,
+ * and the service worker's shell list against the page templates
+ *
+ * Usage: node scripts/validate-data.js
+ * Exits with status 1 when any check fails. To run it before every commit:
+ *   git config core.hooksPath scripts/hooks
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ROOT, BLOG_INDEX, readJson, loadBlog, renderBlogIndex, getLanguages } = require('./site-data');
+const { I18n } = require('../js/i18n.js');
+const { ThemeManager } = require('../js/theme.js');
+const { getPostUrl, getPostStatus, getTagSlug, getTagUrl, getCategoryUrl } = require('../js/main.js');
+
+const SCHEMA_DIR = 'data/schemas';
+
+// Pages the service worker precaches with everything they load
+const TEMPLATES = ['index.html', 'research.html', 'cv.html', 'blog.html', 'blog-post.html'];
+
+const DATA_FILES = {
+    'data/blog-posts.json': 'blog-posts.schema.json',
+    'data/research.json': 'research.schema.json',
+    'data/config.json': 'config.schema.json',
+    'data/translations.json': 'translations.schema.json'
+};
+
+/**
+ * Validator for the subset of JSON Schema used in data/schemas, plus
+ * "x-localized": the object must have a key for every site language
+ */
+class SchemaValidator {
+    constructor(languages) {
+        this.languages = languages;
+        this.schemas = new Map();
+    }
+
+    loadSchema(file) {
+        if (!this.schemas.has(file)) {
+            this.schemas.set(file, readJson(path.posix.join(SCHEMA_DIR, file)));
+        }
+        return this.schemas.get(file);
+    }
+
+    resolveRef(ref, baseFile) {
+        const [file, pointer = ''] = ref.split('#');
+        const schemaFile = file || baseFile;
+        const target = pointer.split('/').filter(Boolean)
+            .reduce((node, key) => node?.[key], this.loadSchema(schemaFile));
+
+        if (!target) throw new Error(`Unresolved schema reference ${ref} in ${baseFile}`);
+        return { schema: target, file: schemaFile };
+    }
+
+    validate(value, schemaFile) {
+        const errors = [];
+        this.check(value, this.loadSchema(schemaFile), schemaFile, '', errors);
+        return errors;
+    }
+
+    typeOf(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        if (Number.isInteger(value)) return 'integer';
+        return typeof value;
+    }
+
+    matchesType(value, type) {
+        const actual = this.typeOf(value);
+        return actual === type || (type === 'number' && actual === 'integer');
+    }
+
+    check(value, schema, file, pointer, errors) {
+        const at = pointer || '/';
+        const fail = message => errors.push(`${at}: ${message}`);
+
+        if (schema.$ref) {
+            const resolved = this.resolveRef(schema.$ref, file);
+            this.check(value, resolved.schema, resolved.file, pointer, errors);
+        }
+
+        if (schema.allOf) {
+            schema.allOf.forEach(sub => this.check(value, sub, file, pointer, errors));
+        }
+
+        if (schema.anyOf) {
+            const passes = schema.anyOf.some(sub => this.check(value, sub, file, pointer, []) === 0);
+            if (!passes) fail('does not match any of the allowed forms');
+        }
+
+        if (schema.type) {
+            const types = [].concat(schema.type);
+            if (!types.some(type => this.matchesType(value, type))) {
+                fail(`expected ${types.join(' or ')}, got ${this.typeOf(value)}`);
+                return errors.length;
+            }
+        }
+
+        if (schema.enum && !schema.enum.includes(value)) {
+            fail(`must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+        }
+
+        if (typeof value === 'string') {
+            if (schema.minLength !== undefined && value.length < schema.minLength) fail('must not be empty');
+            if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+                fail(`${JSON.stringify(value)} does not match ${schema.pattern}`);
+            }
+        }
+
+        if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+            fail(`must be at least ${schema.minimum}`);
+        }
+        if (typeof value === 'number' && schema.maximum !== undefined && value > schema.maximum) {
+            fail(`must be at most ${schema.maximum}`);
+        }
+
+        if (Array.isArray(value)) {
+            if (schema.uniqueItems) {
+                const seen = new Set();
+                value.forEach(item => {
+                    const key = JSON.stringify(item);
+                    if (seen.has(key)) fail(`duplicate item ${key}`);
+                    seen.add(key);
+                });
+            }
+            if (schema.items) {
+                value.forEach((item, index) => this.check(item, schema.items, file, `${pointer}/${index}`, errors));
+            }
+        }
+
+        if (this.typeOf(value) === 'object') {
+            this.checkObject(value, schema, file, pointer, fail, errors);
+        }
+
+        return errors.length;
+    }
+
+    checkObject(value, schema, file, pointer, fail, errors) {
+        const keys = Object.keys(value);
+
+        (schema.required || []).forEach(key => {
+            if (!(key in value)) fail(`missing required property "${key}"`);
+        });
+
+        if (schema['x-localized']) {
+            this.languages.forEach(lang => {
+                if (!(lang in value)) fail(`missing language "${lang}"`);
+            });
+        }
+
+        if (schema.minProperties !== undefined && keys.length < schema.minProperties) {
+            fail(`must have at least ${schema.minProperties} properties`);
+        }
+
+        keys.forEach(key => {
+            const childPointer = `${pointer}/${key}`;
+
+            if (schema.propertyNames) {
+                this.check(key, schema.propertyNames, file, childPointer, errors);
+            }
+
+            if (schema.properties?.[key]) {
+                this.check(value[key], schema.properties[key], file, childPointer, errors);
+                return;
+            }
+
+            const patterns = Object.entries(schema.patternProperties || {})
+                .filter(([pattern]) => new RegExp(pattern).test(key));
+            patterns.forEach(([, sub]) => this.check(value[key], sub, file, childPointer, errors));
+            if (patterns.length > 0) return;
+
+            if (schema.additionalProperties === false) {
+                errors.push(`${childPointer}: unknown property "${key}"`);
+            } else if (typeof schema.additionalProperties === 'object') {
+                this.check(value[key], schema.additionalProperties, file, childPointer, errors);
+            }
+        });
+    }
+}
+
+/**
+ * Dotted keys of every string in a translation tree
+ */
+function flattenKeys(messages, prefix = '') {
+    return Object.entries(messages).flatMap(([key, value]) => {
+        const fullKey = prefix ? `${prefix}.${key}` : key;
+        return typeof value === 'object' ? flattenKeys(value, fullKey) : [fullKey];
+    });
+}
+
+/**
+ * Syntax problems in an ICU message: unbalanced braces, plural/select
+ * without an "other" case
+ */
+function checkMessage(i18n, message) {
+    let depth = 0;
+    for (const char of message) {
+        if (char === '{') depth++;
+        if (char === '}' && --depth < 0) return 'unmatched "}"';
+    }
+    if (depth > 0) return 'unclosed "{"';
+
+    for (const match of message.matchAll(/\{\s*[\w.]+\s*,\s*(plural|select)\s*,/g)) {
+        const close = i18n.findClosingBrace(message, match.index);
+        const options = i18n.parseOptions(message.slice(match.index + match[0].length, close));
+        if (!('other' in options)) return `${match[1]} needs an "other" case`;
+    }
+
+    return null;
+}
+
+/**
+ * data-i18n* attribute values in the HTML pages and literal keys passed
+ * to i18n.t() / translate() in the scripts
+ */
+function collectUsedKeys() {
+    const used = new Map();
+    const add = (key, source) => {
+        if (!used.has(key)) used.set(key, new Set());
+        used.get(key).add(source);
+    };
+
+    fs.readdirSync(ROOT).filter(file => file.endsWith('.html')).forEach(file => {
+        const html = fs.readFileSync(path.join(ROOT, file), 'utf8');
+        for (const match of html.matchAll(/\sdata-i18n(?:-html|-title)?="([^"]+)"/g)) add(match[1], file);
+        for (const match of html.matchAll(/\sdata-i18n-attr="([^"]+)"/g)) {
+            new I18n().parseAttrBindings(match[1]).forEach(([, key]) => add(key, file));
+        }
+    });
+
+    fs.readdirSync(path.join(ROOT, 'js')).filter(file => file.endsWith('.js')).forEach(file => {
+        const source = fs.readFileSync(path.join(ROOT, 'js', file), 'utf8');
+        for (const match of source.matchAll(/\b(?:t|translate)\('([\w-]+(?:\.[\w-]+)+)'/g)) add(match[1], `js/${file}`);
+    });
+
+    return used;
+}
+
+/**
+ * Every language has the default language's messages, unless it declares a
+ * meta.fallback and so is allowed to be partial
+ */
+function checkTranslations(translations, languages, report) {
+    const file = 'data/translations.json';
+    const i18n = new I18n();
+    i18n.translations = translations;
+
+    const base = i18n.defaultLang;
+    const messageKeys = lang => new Set(flattenKeys(translations[lang]).filter(key => !key.startsWith('meta.')));
+    const baseKeys = messageKeys(base);
+
+    languages.filter(lang => lang !== base).forEach(lang => {
+        const keys = messageKeys(lang);
+        const fallback = translations[lang].meta?.fallback;
+
+        if (fallback) {
+            if (!translations[fallback]) report(file, `"${lang}" falls back to undefined language "${fallback}"`);
+
+            const chain = [lang];
+            for (let code = fallback; code; code = translations[code]?.meta?.fallback) {
+                if (chain.includes(code)) {
+                    report(file, `fallback loop ${[...chain, code].join(' -> ')}`);
+                    break;
+                }
+                chain.push(code);
+            }
+        } else {
+            baseKeys.forEach(key => {
+                if (!keys.has(key)) report(file, `"${key}" is missing in "${lang}" (or declare a meta.fallback)`);
+            });
+        }
+
+        keys.forEach(key => {
+            if (!baseKeys.has(key)) report(file, `"${key}" exists in "${lang}" but not in "${base}"`);
+        });
+    });
+
+    languages.forEach(lang => {
+        flattenKeys(translations[lang]).forEach(key => {
+            const problem = checkMessage(i18n, i18n.lookup(key, lang));
+            if (problem) report(file, `"${key}" in "${lang}": ${problem}`);
+        });
+    });
+
+    collectUsedKeys().forEach((sources, key) => {
+        languages.forEach(lang => {
+            if (i18n.resolve(key, lang) === null) {
+                report([...sources].join(', '), `translation key "${key}" is not defined for "${lang}"`);
+            }
+        });
+    });
+}
+
+async function checkBlog(blog, validator, languages, report) {
+    const file = 'data/blog-posts.json';
+    const ids = new Set();
+
+    blog.posts.forEach(post => {
+        if (ids.has(post.id)) report(file, `duplicate post id "${post.id}"`);
+        ids.add(post.id);
+
+        Object.values(post.content || {}).forEach(contentPath => {
+            if (!fs.existsSync(path.join(ROOT, contentPath))) {
+                report(file, `post "${post.id}": content file ${contentPath} does not exist`);
+            }
+        });
+    });
+
+    const tagCounts = new Set(languages.map(lang => blog.tags[lang]?.length));
+    if (tagCounts.size > 1) report(file, 'tag lists must have the same length in every language');
+
+    // Each tag gets a landing page named after its slug
+    languages.forEach(lang => {
+        const slugs = (blog.tags.en || []).map(tag => getTagSlug(blog.tags, tag, lang));
+        slugs.forEach((slug, index) => {
+            if (!slug) report(file, `tag "${blog.tags[lang]?.[index]}" (${lang}) has no letters or digits for its slug`);
+            else if (slugs.indexOf(slug) !== index) report(file, `tags share the slug "${slug}" in ${lang}`);
+        });
+    });
+
+    const categoryKeys = languages.map(lang => Object.keys(blog.categories[lang] || {}).sort().join(','));
+    if (new Set(categoryKeys).size > 1) report(file, 'categories must have the same keys in every language');
+
+    if (blog.series) {
+        const seriesKeys = languages.map(lang => Object.keys(blog.series[lang] || {}).sort().join(','));
+        if (new Set(seriesKeys).size > 1) report(file, 'series must have the same keys in every language');
+    }
+
+    // Merge front matter, then check each post as the site sees it
+    const hydrated = await loadBlog();
+    const index = fs.existsSync(path.join(ROOT, BLOG_INDEX)) ? fs.readFileSync(path.join(ROOT, BLOG_INDEX), 'utf8') : null;
+    if (index !== renderBlogIndex(hydrated)) {
+        report(BLOG_INDEX, `${index === null ? 'is missing' : 'is out of date'}; run node scripts/prerender.js`);
+    }
+    hydrated.posts.forEach(post => {
+        const label = `${file} (post "${post.id}")`;
+
+        validator.validate(post, 'post.schema.json').forEach(error => report(label, error));
+
+        if (post.category && !(post.category in (blog.categories.en || {}))) {
+            report(label, `category "${post.category}" is not defined in categories`);
+        }
+        (post.tags || []).forEach(tag => {
+            if (!(blog.tags.en || []).includes(tag)) report(label, `tag "${tag}" is not defined in tags`);
+        });
+        if (post.series && !(post.series in (blog.series?.en || {}))) {
+            report(label, `series "${post.series}" is not defined in series`);
+        }
+
+        // Cards link to the prerendered pages; scheduled posts get a page
+        // that shows them once their time comes
+        if (getPostStatus(post) !== 'draft') {
+            languages.forEach(lang => {
+                const page = getPostUrl(post.id, lang);
+                if (!fs.existsSync(path.join(ROOT, page))) {
+                    report(label, `${page} is missing; run node scripts/prerender.js`);
+                }
+            });
+        }
+
+        // Post pages and cards link to the tag and category landing pages
+        if (getPostStatus(post) === 'published') {
+            languages.forEach(lang => {
+                [...(post.tags || []).map(tag => getTagUrl(blog.tags, tag, lang)), getCategoryUrl(post.category, lang)]
+                    .filter(page => !fs.existsSync(path.join(ROOT, page)))
+                    .forEach(page => report(label, `${page} is missing; run node scripts/prerender.js`));
+            });
+        }
+    });
+}
+
+function checkResearch(research, report) {
+    const file = 'data/research.json';
+    const ids = new Set();
+    const sections = ['publications', 'working_papers', 'works_in_progress'];
+
+    sections.flatMap(section => research[section] || []).forEach(item => {
+        if (ids.has(item.id)) report(file, `duplicate research id "${item.id}"`);
+        ids.add(item.id);
+
+        // The topic filter names codes from the top-level "jel"
+        (item.jel || []).forEach(code => {
+            if (!research.jel?.[code]) report(file, `"${item.id}": JEL code "${code}" is not named in jel`);
+        });
+
+        if (item.authorPosition > (item.coauthors?.length || 0) + 1) {
+            report(file, `"${item.id}": authorPosition ${item.authorPosition} is past the last author`);
+        }
+        (item.links || []).forEach(link => {
+            if (link.type !== 'pdf' && !link.label) report(file, `"${item.id}": ${link.type} link needs a label`);
+        });
+    });
+}
+
+function checkConfig(config, report) {
+    const theme = config.theme;
+    if (theme && !theme.presets?.[theme.default]) {
+        report('data/config.json', `theme default "${theme.default}" is not one of the presets`);
+    }
+
+    // Every preset, after the theme panel's lightness adjustment, must reach
+    // WCAG AA in both schemes
+    const themeManager = new ThemeManager();
+    themeManager.presets = theme?.presets || {};
+    Object.keys(themeManager.presets).forEach(key => {
+        const { hue, saturation, lightness } = themeManager.normalize(themeManager.getPresetTheme(key));
+        ['light', 'dark'].forEach(scheme => {
+            const { ratio } = themeManager.getPalette(hue, saturation, lightness, scheme);
+            if (ratio < themeManager.minContrast) {
+                report('data/config.json', `theme preset "${key}" has contrast ${ratio.toFixed(2)}:1 in ${scheme} mode, below WCAG AA (${themeManager.minContrast}:1)`);
+            }
+        });
+    });
+}
+
+/**
+ * Every page template and the scripts, styles and icons it loads must be in
+ * sw.js's SHELL_FILES, or the page breaks offline
+ */
+function checkServiceWorker(report) {
+    const file = 'sw.js';
+    const list = fs.readFileSync(path.join(ROOT, file), 'utf8').match(/const SHELL_FILES = \[([^\]]*)\]/);
+    if (!list) {
+        report(file, 'SHELL_FILES not found');
+        return;
+    }
+    const shell = new Set(Array.from(list[1].matchAll(/'([^']+)'/g), match => match[1]));
+
+    shell.forEach(entry => {
+        if (entry !== './' && !fs.existsSync(path.join(ROOT, entry))) report(file, `SHELL_FILES lists ${entry}, which does not exist`);
+    });
+
+    TEMPLATES.forEach(page => {
+        const html = fs.readFileSync(path.join(ROOT, page), 'utf8');
+        const assets = Array.from(html.matchAll(/<(?:script[^>]*\ssrc|link[^>]*\srel="(?:stylesheet|manifest|apple-touch-icon)"[^>]*\shref)="([^"]+)"/g), match => match[1]);
+        [page, ...assets]
+            .filter(asset => !/^[a-z]+:|^\/\//i.test(asset) && !shell.has(asset))
+            .forEach(asset => report(file, `SHELL_FILES is missing ${asset} (loaded by ${page})`));
+    });
+}
+
+async function main() {
+    const problems = [];
+    const report = (file, message) => problems.push(`${file}: ${message}`);
+
+    const languages = getLanguages();
+    const validator = new SchemaValidator(languages);
+    const data = {};
+
+    Object.entries(DATA_FILES).forEach(([file, schema]) => {
+        try {
+            data[file] = readJson(file);
+        } catch (error) {
+            report(file, `invalid JSON (${error.message})`);
+            return;
+        }
+        validator.validate(data[file], schema).forEach(error => report(file, error));
+    });
+
+    if (data['data/translations.json']) {
+        checkTranslations(data['data/translations.json'], languages, report);
+    }
+    if (data['data/blog-posts.json']) {
+        await checkBlog(data['data/blog-posts.json'], validator, languages, report);
+    }
+    if (data['data/research.json']) {
+        checkResearch(data['data/research.json'], report);
+    }
+    if (data['data/config.json']) {
+        checkConfig(data['data/config.json'], report);
+    }
+    checkServiceWorker(report);
+
+    if (problems.length > 0) {
+        problems.forEach(problem => console.error(`✗ ${problem}`));
+        console.error(`\n${problems.length} problem(s) found in the data files`);
+        process.exit(1);
+    }
+
+    console.log(`✓ ${Object.keys(DATA_FILES).length} data files are valid (${languages.join(', ')})`);
+}
+
+main().catch(error => {
+    console.error('Failed to validate data:', error);
+    process.exit(1);
+});
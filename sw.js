@@ -0,0 +1,210 @@
+/**
+ * Service Worker
+ * Precaches the site shell (pages, styles, scripts, translations and config)
+ * and serves data with stale-while-revalidate, so the site opens offline and
+ * new posts show up on the next visit. Feeds, PDFs and images are not
+ * cached here: they are large or only useful online. Posts saved for offline reading live
+ * in their own "saved-post-<id>" caches (js/offline.js) and survive updates.
+ * Registered by js/offline.js; paths are relative to this file, so the site
+ * works from a GitHub Pages project path too.
+ */
+
+// Bump when the shell list changes; the activate step drops older shells.
+// Data and saved posts are kept across versions.
+const CACHE_VERSION = 'v4';
+const SHELL_CACHE = `shell-${CACHE_VERSION}`;
+const DATA_CACHE = 'data';
+const SAVED_POST_PREFIX = 'saved-post-';
+
+// Keep in sync with the <script> tags of the page templates; checked by
+// scripts/validate-data.js
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'research.html',
+    'cv.html',
+    'blog.html',
+    'blog-post.html',
+    'manifest.webmanifest',
+    'css/styles.css',
+    'js/main.js',
+    'js/safe-html.js',
+    'js/data.js',
+    'js/i18n.js',
+    'js/theme.js',
+    'js/reading.js',
+    'js/config.js',
+    'js/markdown.js',
+    'vendor/katex/katex.min.js',
+    'js/math.js',
+    'js/highlight.js',
+    'js/toc.js',
+    'js/search.js',
+    'js/seo.js',
+    'js/citations.js',
+    'js/blog.js',
+    'js/blog-post.js',
+    'js/research.js',
+    'js/offline.js',
+    'js/router.js',
+    'data/translations.json',
+    'data/config.json',
+    'assets/icons/icon.svg',
+    'assets/icons/icon-192.png'
+];
+
+// Readers are told when this one changes: a new post, or an edited one, as
+// its "version" hashes the post sources (scripts/site-data.js)
+const POSTS_INDEX = 'data/blog-index.json';
+
+// Feeds and documents (the CV) always come from the network
+const NETWORK_ONLY = /(^|\/)feeds\/|\.pdf$/i;
+const IMAGES = /\.(png|jpe?g|gif|webp|avif|svg)$/i;
+
+const OFFLINE_PAGE = `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Offline</title>
+    <style>
+        body { font-family: system-ui, sans-serif; max-width: 32rem; margin: 20vh auto; padding: 0 1.5rem; color: #1e293b; }
+        a { color: #2662d9; }
+    </style>
+</head>
+<body>
+    <h1>You are offline</h1>
+    <p>This page has not been saved for offline reading. <a href="./">Go to the home page</a></p>
+    <p lang="pt">Você está offline. Esta página não foi salva para leitura offline. <a href="./">Ir para a página inicial</a></p>
+</body>
+</html>`;
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', event => {
+    const current = [SHELL_CACHE, DATA_CACHE];
+
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => !current.includes(key) && !key.startsWith(SAVED_POST_PREFIX))
+                .map(key => caches.delete(key))))
+            .then(pruneDataCache)
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    const url = new URL(request.url);
+
+    // Share links, fonts and the like (other origins), feeds and PDFs go
+    // straight to the network
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+    if (NETWORK_ONLY.test(url.pathname)) return;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(networkFirst(event));
+    } else if (IMAGES.test(url.pathname) && !isShellFile(request)) {
+        event.respondWith(networkOrSaved(request));
+    } else {
+        event.respondWith(staleWhileRevalidate(event));
+    }
+});
+
+/**
+ * Images and other files older versions kept in the data cache
+ */
+async function pruneDataCache() {
+    const cache = await caches.open(DATA_CACHE);
+    const requests = await cache.keys();
+    await Promise.all(requests
+        .filter(request => {
+            const { pathname } = new URL(request.url);
+            return NETWORK_ONLY.test(pathname) || IMAGES.test(pathname);
+        })
+        .map(request => cache.delete(request)));
+}
+
+function isShellFile(request) {
+    return SHELL_FILES.some(file => request.url === new URL(file, self.location).href);
+}
+
+/**
+ * Pages: the latest version when online, else the cached (or saved) copy
+ */
+async function networkFirst(event) {
+    const { request } = event;
+
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            const copy = response.clone();
+            event.waitUntil(caches.open(SHELL_CACHE).then(cache => cache.put(request, copy)));
+        }
+        return response;
+    } catch (error) {
+        return await caches.match(request)
+            || await caches.match(request, { ignoreSearch: true })
+            || new Response(OFFLINE_PAGE, { headers: { 'Content-Type': 'text/html; charset=utf-8' } });
+    }
+}
+
+/**
+ * Images: from the network, or offline from a saved post. Not cached here,
+ * so research and post images don't pile up.
+ */
+async function networkOrSaved(request) {
+    try {
+        return await fetch(request);
+    } catch (error) {
+        const saved = await caches.match(request);
+        if (saved) return saved;
+        throw error;
+    }
+}
+
+/**
+ * Scripts, styles, data and post content: answer from the cache right away
+ * and refresh it in the background
+ */
+async function staleWhileRevalidate(event) {
+    const { request } = event;
+    const cacheName = isShellFile(request) ? SHELL_CACHE : DATA_CACHE;
+    const cache = await caches.open(cacheName);
+    // Own cache first: a saved post may hold an older copy
+    const cached = await cache.match(request) || await caches.match(request);
+    // Cloned before the page reads the cached body
+    const previous = cached && isPostsIndex(request) ? cached.clone() : null;
+
+    const update = fetch(request).then(async response => {
+        if (!response.ok) return response;
+
+        if (previous) {
+            const [oldText, newText] = await Promise.all([previous.text(), response.clone().text()]);
+            if (oldText !== newText) await notifyClients({ type: 'content-updated' });
+        }
+        await cache.put(request, response.clone());
+        return response;
+    });
+
+    if (!cached) return update;
+
+    event.waitUntil(update.catch(() => {}));
+    return cached;
+}
+
+function isPostsIndex(request) {
+    return new URL(request.url).pathname === new URL(POSTS_INDEX, self.location).pathname;
+}
+
+async function notifyClients(message) {
+    const clients = await self.clients.matchAll({ type: 'window' });
+    clients.forEach(client => client.postMessage(message));
+}